@@ -0,0 +1,92 @@
+/**
+ * Adaptive difficulty: keep a running ratio-error record per ratio bucket
+ * and per shape type, and steer new exercises toward the weak spots.
+ *
+ * Scheduling is a small Leitner-style spaced repetition.  Every analysed
+ * attempt advances a clock; an area drawn well has its review interval
+ * doubled, an area drawn badly is due again on the next exercise.  Due areas
+ * are picked with probability proportional to their recent error, so the
+ * worst ratios come up most but nothing is dropped for good.
+ */
+
+import { createExercise, ratioBucket, RATIO_BUCKETS } from './shapes.js';
+import { shapeDefs } from './shape-registry.js';
+
+const LS_KEY = 'dr-adaptive';
+
+const GOOD_ERROR   = 5;   // % ratio error that counts as "drawn well"
+const PRIOR_ERROR  = 20;  // % error assumed for areas never practised
+const EMA_WEIGHT   = 0.3; // weight of the newest attempt in the running error
+const MAX_INTERVAL = 32;  // attempts
+const NOT_DUE_WEIGHT = 0.15; // relative chance of picking an area before it's due
+
+/** @returns {{ clock: number, buckets: object, shapes: object }} */
+export function loadModel() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY));
+    if (saved && saved.buckets && saved.shapes) return saved;
+  } catch { /* corrupted entry — start over */ }
+  return { clock: 0, buckets: {}, shapes: {} };
+}
+
+export function saveModel(model) {
+  localStorage.setItem(LS_KEY, JSON.stringify(model));
+}
+
+function updateItem(item, errPct, clock) {
+  const next = item
+    ? { ...item, err: item.err * (1 - EMA_WEIGHT) + errPct * EMA_WEIGHT, n: item.n + 1 }
+    : { err: errPct, n: 1, interval: 1 };
+  next.interval = errPct < GOOD_ERROR ? Math.min(MAX_INTERVAL, (item ? item.interval : 1) * 2) : 1;
+  next.due = clock + next.interval;
+  return next;
+}
+
+/**
+ * Fold one analysed attempt into the model (mutates and returns it).
+ * Any exercise counts, not only adaptive ones.
+ * @param {object} model
+ * @param {object} exercise
+ * @param {number} ratioError - signed fraction from analyzeDrawing()
+ */
+export function recordResult(model, exercise, ratioError) {
+  const errPct = Math.abs(ratioError) * 100;
+  model.clock++;
+  const bucket = ratioBucket(exercise.ratio);
+  model.buckets[bucket] = updateItem(model.buckets[bucket], errPct, model.clock);
+  model.shapes[exercise.shapeType] = updateItem(model.shapes[exercise.shapeType], errPct, model.clock);
+  return model;
+}
+
+function weightOf(item, clock) {
+  if (!item) return PRIOR_ERROR;
+  const w = item.err + 1;
+  return item.due <= clock ? w : w * NOT_DUE_WEIGHT;
+}
+
+function pickWeighted(keys, table, clock) {
+  const weights = keys.map(k => weightOf(table[k], clock));
+  let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < keys.length; i++) {
+    r -= weights[i];
+    if (r < 0) return keys[i];
+  }
+  return keys[keys.length - 1];
+}
+
+/**
+ * Create the next adaptive exercise.
+ * @param {object} model
+ * @param {string} shapeType - a concrete type, or 'random' to let the model
+ *        pick one of the closed shapes: lines have no ratio to train, while
+ *        compositions are scored on their overall box like any other shape
+ * @param {object} [opts] - extra createExercise() options (e.g. `rotate`)
+ */
+export function createAdaptiveExercise(model, shapeType, opts = {}) {
+  const bucket = pickWeighted(RATIO_BUCKETS, model.buckets, model.clock);
+  if (shapeType === 'random') {
+    const types = shapeDefs().filter(d => !d.open).map(d => d.type);
+    shapeType = pickWeighted(types, model.shapes, model.clock);
+  }
+  return createExercise(shapeType, 'adaptive', undefined, { ...opts, bucket });
+}
@@ -1,3 +1,8 @@
+import { drawPath, rotatedExtent, orientPoint } from './shapes.js';
+import { getShapeDef } from './shape-registry.js';
+
+const CANVAS_RES = 700;
+
 /**
  * Analyse a freehand drawing against the reference shape.
  *
@@ -5,31 +10,311 @@
  *
  * @param {{ w: number, h: number }} drawnBBox  - bounding box of drawn strokes
  * @param {{ w: number, h: number }} refBBox    - bounding box from renderShape()
- * @returns {{ ratioScore, sizeScore, overallScore, ratioDetail, sizeDetail, hint }}
+ * @param {{ factor: number, label: string }} [scale] - a scaled copy's target
+ *        (from copyScale()); the size is then scored against refBBox × factor
+ * @returns {{ ratioScore, sizeScore, overallScore, ratioError, sizeError, ratioDetail, sizeDetail, hint }}
+ *          ratioError / sizeError are signed fractions: +0.1 = 10% too wide / too large
  */
-export function analyzeDrawing(drawnBBox, refBBox) {
+export function analyzeDrawing(drawnBBox, refBBox, scale = null) {
   const drawnRatio  = drawnBBox.w / drawnBBox.h;
   const targetRatio = refBBox.w   / refBBox.h;
 
   // Ratio score: 0–100
   // 0% diff → 100 pts; 100% diff → 0 pts
-  const ratioDiff  = Math.abs(drawnRatio - targetRatio) / targetRatio;
+  const ratioError = (drawnRatio - targetRatio) / targetRatio;
+  const ratioDiff  = Math.abs(ratioError);
   const ratioScore = clamp(Math.round(100 * (1 - ratioDiff)));
 
   // Size score: compare largest dimension of drawn vs reference
   const drawnMax = Math.max(drawnBBox.w, drawnBBox.h);
-  const refMax   = Math.max(refBBox.w,   refBBox.h);
-  const sizeDiff  = Math.abs(drawnMax - refMax) / refMax;
+  const refMax   = Math.max(refBBox.w,   refBBox.h) * (scale ? scale.factor : 1);
+  const sizeError = (drawnMax - refMax) / refMax;
+  const sizeDiff  = Math.abs(sizeError);
   const sizeScore = clamp(Math.round(100 * (1 - sizeDiff)));
 
   // Overall (ratio weighted more, since that's the core exercise)
   const overallScore = clamp(Math.round(ratioScore * 0.6 + sizeScore * 0.4));
 
   const ratioDetail = describeRatio(drawnRatio, targetRatio);
-  const sizeDetail  = describeSize(drawnMax, refMax);
-  const hint        = makeHint(ratioScore, sizeScore, drawnRatio, targetRatio, drawnMax, refMax);
+  const sizeDetail  = describeSize(drawnMax, refMax, scale);
+  const hint        = makeHint(ratioScore, sizeScore, drawnRatio, targetRatio, drawnMax, refMax, null, scale);
+
+  return { ratioScore, sizeScore, overallScore, ratioError, sizeError, ratioDetail, sizeDetail, hint };
+}
+
+// ── Lines and angles ───────────────────────────────────────────────────
+
+const LN_SIMPLIFY    = 0.04; // corner detection tolerance, fraction of the target size
+const LN_MIN_PIECE   = 0.25; // pieces shorter than this × the shortest target segment are ignored
+const LN_MERGE_ANGLE = 10;   // degrees: pieces this parallel and in line are one segment
+const LN_ZERO_AT     = 20;   // mean angular error (degrees) that scores 0
+const LN_NOTICE_DEG  = 2;
+const LN_NOTICE_LEN  = 0.05;
+const LN_MAX_MESSAGES = 3;
+
+/**
+ * Analyse a lines-and-angles exercise: fit straight segments to the strokes
+ * and compare their slopes (and, with several segments, their relative
+ * lengths) to the target's.  Position and overall size don't matter.
+ *
+ * Strokes are split at corners, so an angle may be drawn in one stroke or
+ * two; the longest fitted segments are matched to the target segments by
+ * slope and position.
+ *
+ * @param {object}      exercise - with `lines` and `kind` (see the registry)
+ * @param {{ x,y,w,h }} refBBox  - reference bbox in 700-space
+ * @param {Array}       strokes  - from DrawingCanvas.getStrokes()
+ * @returns {{ angleScore: number, lengthScore: number|null, overallScore: number,
+ *             segments: Array<{ target: number, angleError: number, lengthError: number|null }>,
+ *             openingError: number|null, fitted: Array<{ a: {x,y}, b: {x,y} }>,
+ *             angleDetail: string, lengthDetail: string, hint: string }}
+ *          angles are in degrees, counter-clockwise from horizontal; errors
+ *          > 0 mean the drawn line is turned clockwise / too long.  When too
+ *          few segments were drawn the scores are 0 and `segments` is empty.
+ */
+export function analyzeLines(exercise, refBBox, strokes) {
+  const targets = _targetSegments(exercise, refBBox);
+  const size    = Math.max(refBBox.w, refBBox.h);
+  const shortest = Math.min(...targets.map(_segLength));
+
+  const pieces = _mergePieces(
+    strokes.filter(st => !st.isEraser && st.points.length >= 2)
+      .flatMap(st => _fitPieces(st.points, LN_SIMPLIFY * size)),
+    LN_SIMPLIFY * size
+  ).filter(p => _segLength(p) >= LN_MIN_PIECE * shortest)
+   .sort((p, q) => _segLength(q) - _segLength(p))
+   .slice(0, targets.length);
+
+  if (pieces.length < targets.length) {
+    const n = targets.length;
+    return {
+      angleScore: 0, lengthScore: n > 1 ? 0 : null, overallScore: 0,
+      segments: [], openingError: null, fitted: pieces.map(({ a, b }) => ({ a, b })),
+      angleDetail: 'not enough lines', lengthDetail: '',
+      hint: n === 1 ? 'Draw the line with one straight stroke' : `Draw all ${n} lines`,
+    };
+  }
+
+  const matched = _matchSegments(targets, pieces);
+  const names   = targets.map(t => `the ${Math.round(_slope(t))}° line`);
+  const issues  = [];
+
+  const segments = targets.map((t, i) => {
+    const angleError = _wrap90(_slope(t) - _slope(matched[i]));
+    if (Math.abs(angleError) >= LN_NOTICE_DEG) {
+      issues.push({ weight: Math.abs(angleError) / LN_ZERO_AT, text: `${names[i]} is ${describeAngle(angleError)}` });
+    }
+    return { target: _slope(t), angleError, lengthError: null };
+  });
+
+  // Lengths relative to the first (for angles, the first arm) segment
+  let lengthScore = null;
+  if (targets.length > 1) {
+    const errs = [];
+    for (let i = 1; i < targets.length; i++) {
+      const err = (_segLength(matched[i]) / _segLength(matched[0])) / (_segLength(targets[i]) / _segLength(targets[0])) - 1;
+      segments[i].lengthError = err;
+      errs.push(Math.abs(err));
+      if (Math.abs(err) >= LN_NOTICE_LEN) {
+        issues.push({
+          weight: Math.abs(err),
+          text:   `${names[i]} is ${Math.round(Math.abs(err) * 100)}% too ${err > 0 ? 'long' : 'short'} next to ${names[0]}`,
+        });
+      }
+    }
+    lengthScore = clamp(Math.round(100 * (1 - errs.reduce((a, b) => a + b, 0) / errs.length)));
+  }
+
+  // For an open angle, how far it opens matters more than either arm
+  let openingError = null;
+  const angleErrs = segments.map(sg => Math.abs(sg.angleError));
+  if (exercise.kind === 'angle') {
+    openingError = _opening(matched[0], matched[1]) - _opening(targets[0], targets[1]);
+    angleErrs.push(Math.abs(openingError));
+    if (Math.abs(openingError) >= LN_NOTICE_DEG) {
+      issues.push({
+        weight: Math.abs(openingError) / LN_ZERO_AT + 0.01,
+        text:   `the angle opens ${Math.round(Math.abs(openingError))}° too ${openingError > 0 ? 'wide' : 'narrow'}`,
+      });
+    }
+  }
+
+  const meanErr    = angleErrs.reduce((a, b) => a + b, 0) / angleErrs.length;
+  const angleScore = clamp(Math.round(100 * (1 - meanErr / LN_ZERO_AT)));
+  const overallScore = lengthScore == null ? angleScore : clamp(Math.round(angleScore * 0.7 + lengthScore * 0.3));
+  const messages = issues.sort((p, q) => q.weight - p.weight).slice(0, LN_MAX_MESSAGES).map(i => i.text);
+
+  return {
+    angleScore, lengthScore, overallScore, segments, openingError,
+    fitted: matched.map(({ a, b }) => ({ a, b })),
+    angleDetail:  meanErr < LN_NOTICE_DEG ? 'spot on' : `${meanErr.toFixed(1)}° off on average`,
+    lengthDetail: lengthScore == null ? '' : `${100 - lengthScore}% off on average`,
+    hint: messages.length ? messages.join(' · ') : '🎉 Angles and lengths are spot on!',
+  };
+}
+
+/**
+ * Slopes of a lines exercise's target segments, as analyzeLines() reports
+ * them (degrees counter-clockwise from horizontal, tilt included).
+ * @returns {number[]}
+ */
+export function targetLineAngles(exercise, refBBox) {
+  return _targetSegments(exercise, refBBox).map(_slope);
+}
+
+// Target segments in canvas coordinates (transform and tilt applied as in drawPath)
+function _targetSegments(exercise, { x, y, w, h }) {
+  const rad = (exercise.rotation || 0) * Math.PI / 180;
+  const cos = Math.cos(rad), sin = Math.sin(rad);
+  const cx = x + w / 2, cy = y + h / 2;
+  const map = p => {
+    const o  = orientPoint(p.x, p.y, exercise.orient);
+    const px = x + o.x * w - cx, py = y + o.y * h - cy;
+    return { x: cx + px * cos - py * sin, y: cy + px * sin + py * cos };
+  };
+  const segs = [];
+  for (const line of exercise.lines) {
+    for (let i = 1; i < line.length; i++) segs.push({ a: map(line[i - 1]), b: map(line[i]) });
+  }
+  return segs;
+}
+
+function _segLength({ a, b }) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// Undirected slope in [0, 180), counter-clockwise from horizontal (y is down)
+function _slope({ a, b }) {
+  const deg = Math.atan2(a.y - b.y, b.x - a.x) * 180 / Math.PI;
+  return ((deg % 180) + 180) % 180;
+}
+
+function _wrap90(deg) {
+  return ((deg + 90) % 180 + 180) % 180 - 90;
+}
+
+// Angle between two arms, measured at the ends that are closest together
+function _opening(p, q) {
+  let best = null;
+  for (const [pv, pf] of [[p.a, p.b], [p.b, p.a]]) {
+    for (const [qv, qf] of [[q.a, q.b], [q.b, q.a]]) {
+      const d = Math.hypot(pv.x - qv.x, pv.y - qv.y);
+      if (!best || d < best.d) best = { d, u: [pf.x - pv.x, pf.y - pv.y], v: [qf.x - qv.x, qf.y - qv.y] };
+    }
+  }
+  const { u, v } = best;
+  const cos = (u[0] * v[0] + u[1] * v[1]) / (Math.hypot(...u) * Math.hypot(...v));
+  return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+// Split a stroke at its corners (Ramer–Douglas–Peucker) and fit a line to
+// each run of points
+function _fitPieces(points, tolerance) {
+  const keep = new Set([0, points.length - 1]);
+  const split = (i0, i1) => {
+    const a = points[i0], b = points[i1];
+    let far = -1, farD = tolerance;
+    for (let i = i0 + 1; i < i1; i++) {
+      const d = _distToLine(points[i], a, b);
+      if (d > farD) { far = i; farD = d; }
+    }
+    if (far < 0) return;
+    keep.add(far);
+    split(i0, far);
+    split(far, i1);
+  };
+  split(0, points.length - 1);
+
+  const idx = [...keep].sort((p, q) => p - q);
+  const pieces = [];
+  for (let k = 1; k < idx.length; k++) {
+    const piece = _fitLine(points.slice(idx[k - 1], idx[k] + 1));
+    if (piece) pieces.push(piece);
+  }
+  return pieces;
+}
+
+function _distToLine(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len = Math.hypot(dx, dy);
+  if (len < 1e-9) return Math.hypot(p.x - a.x, p.y - a.y);
+  return Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / len;
+}
+
+// Total least squares line through the points, clipped to their extent
+function _fitLine(pts) {
+  if (pts.length < 2) return null;
+  let mx = 0, my = 0;
+  for (const p of pts) { mx += p.x; my += p.y; }
+  mx /= pts.length; my /= pts.length;
+  let sxx = 0, syy = 0, sxy = 0;
+  for (const p of pts) {
+    const dx = p.x - mx, dy = p.y - my;
+    sxx += dx * dx; syy += dy * dy; sxy += dx * dy;
+  }
+  const theta = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+  const ux = Math.cos(theta), uy = Math.sin(theta);
+  let lo = Infinity, hi = -Infinity;
+  for (const p of pts) {
+    const t = (p.x - mx) * ux + (p.y - my) * uy;
+    lo = Math.min(lo, t); hi = Math.max(hi, t);
+  }
+  if (hi - lo < 1e-6) return null;
+  return {
+    a: { x: mx + lo * ux, y: my + lo * uy },
+    b: { x: mx + hi * ux, y: my + hi * uy },
+    pts,
+  };
+}
+
+// Join pieces that continue each other (a line drawn in several strokes)
+function _mergePieces(pieces, tolerance) {
+  const list = pieces.slice();
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const p = list[i], q = list[j];
+      if (Math.abs(_wrap90(_slope(p) - _slope(q))) > LN_MERGE_ANGLE) continue;
+      if (_distToLine(q.a, p.a, p.b) > tolerance || _distToLine(q.b, p.a, p.b) > tolerance) continue;
+      const gap = Math.min(...[[p.a, q.a], [p.a, q.b], [p.b, q.a], [p.b, q.b]]
+        .map(([u, v]) => Math.hypot(u.x - v.x, u.y - v.y)));
+      if (gap > Math.max(_segLength(p), _segLength(q)) * 0.5) continue;
+      const merged = _fitLine(p.pts.concat(q.pts));
+      if (!merged) continue;
+      list.splice(j, 1);
+      list[i] = merged;
+      j = i; // compare the merged piece with everything again
+    }
+  }
+  return list;
+}
+
+// Pair drawn pieces with target segments: the assignment with the smallest
+// slope differences, with position (relative to each set's centre, in
+// units of its size) as a tie-breaker
+function _matchSegments(targets, pieces) {
+  const layout = segs => {
+    const xs = segs.flatMap(s => [s.a.x, s.b.x]), ys = segs.flatMap(s => [s.a.y, s.b.y]);
+    const cx = (Math.min(...xs) + Math.max(...xs)) / 2, cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+    const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) || 1;
+    return segs.map(s => ({ x: ((s.a.x + s.b.x) / 2 - cx) / size, y: ((s.a.y + s.b.y) / 2 - cy) / size }));
+  };
+  const tPos = layout(targets), pPos = layout(pieces);
+  let best = null;
+  for (const perm of _permutations(pieces.map((_, i) => i))) {
+    let cost = 0;
+    perm.forEach((pi, ti) => {
+      cost += Math.abs(_wrap90(_slope(targets[ti]) - _slope(pieces[pi])));
+      cost += 45 * Math.hypot(tPos[ti].x - pPos[pi].x, tPos[ti].y - pPos[pi].y);
+    });
+    if (!best || cost < best.cost) best = { cost, perm };
+  }
+  return best.perm.map(i => pieces[i]);
+}
 
-  return { ratioScore, sizeScore, overallScore, ratioDetail, sizeDetail, hint };
+function _permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((x, i) =>
+    _permutations(items.filter((_, j) => j !== i)).map(rest => [x, ...rest]));
 }
 
 // ── Shape overlap (pixel IoU) ──────────────────────────────────────────
@@ -56,7 +341,9 @@ export function computeShapeOverlap(exercise, refBBox, drawnBBox, strokes) {
   // One shared scale: fit the reference's largest dimension inside OV_FILL.
   // The user's drawing is rendered at this SAME scale so that size differences
   // are preserved — a small drawing stays small against a big reference.
-  const refScale = OV_FILL / Math.max(refBBox.w, refBBox.h);
+  // (For tilted exercises the largest dimension is that of the tilted shape.)
+  const ext      = rotatedExtent(refBBox.w, refBBox.h, exercise.rotation);
+  const refScale = OV_FILL / Math.max(ext.w, ext.h);
   const half     = OV_SIZE / 2;
 
   // ── Canvas A: reference shape (uniform scale, centred) ───────────────
@@ -78,39 +365,7 @@ export function computeShapeOverlap(exercise, refBBox, drawnBBox, strokes) {
   // Translate so the drawn bounding-box centre lands at canvas centre.
   const dtx = half - drawnBBox.cx * refScale;
   const dty = half - drawnBBox.cy * refScale;
-
-  ctxB.lineCap  = 'round';
-  ctxB.lineJoin = 'round';
-
-  for (const stroke of strokes) {
-    const pts = stroke.points;
-    if (pts.length === 0) continue;
-
-    if (stroke.isEraser) {
-      const bsz = stroke.brushSize || 4;
-      ctxB.strokeStyle = 'white';
-      ctxB.fillStyle   = 'white';
-      ctxB.lineWidth   = bsz * 2 * refScale;
-    } else {
-      ctxB.strokeStyle = 'black';
-      ctxB.fillStyle   = 'black';
-      ctxB.lineWidth   = 4; // fixed thickness helps flood-fill close small gaps
-    }
-
-    if (pts.length === 1) {
-      const r = stroke.isEraser ? (stroke.brushSize || 4) * refScale : 2;
-      ctxB.beginPath();
-      ctxB.arc(pts[0].x * refScale + dtx, pts[0].y * refScale + dty, r, 0, Math.PI * 2);
-      ctxB.fill();
-      continue;
-    }
-    ctxB.beginPath();
-    ctxB.moveTo(pts[0].x * refScale + dtx, pts[0].y * refScale + dty);
-    for (let i = 1; i < pts.length; i++) {
-      ctxB.lineTo(pts[i].x * refScale + dtx, pts[i].y * refScale + dty);
-    }
-    ctxB.stroke();
-  }
+  _renderStrokes(ctxB, strokes, refScale, refScale, dtx, dty);
 
   // ── Pixel IoU ────────────────────────────────────────────────────────
   const imgA = ctxA.getImageData(0, 0, OV_SIZE, OV_SIZE);
@@ -138,37 +393,732 @@ export function computeShapeOverlap(exercise, refBBox, drawnBBox, strokes) {
   return { shapeScore, shapeDetail };
 }
 
-// Render shape filled at exactly (x,y,w,h) — mirrors drawPath in shapes.js
-// (duplicated here to keep analysis.js self-contained for the offscreen render)
+// Draw strokes mapped by (x·sx + tx, y·sy + ty): ink in black at a fixed
+// width, eraser strokes in white at their (scaled) brush width.
+function _renderStrokes(ctx, strokes, sx, sy, tx, ty) {
+  const scale = (sx + sy) / 2;
+  ctx.lineCap  = 'round';
+  ctx.lineJoin = 'round';
+
+  for (const stroke of strokes) {
+    const pts = stroke.points;
+    if (pts.length === 0) continue;
+
+    if (stroke.isEraser) {
+      const bsz = stroke.brushSize || 4;
+      ctx.strokeStyle = 'white';
+      ctx.fillStyle   = 'white';
+      ctx.lineWidth   = bsz * 2 * scale;
+    } else {
+      ctx.strokeStyle = 'black';
+      ctx.fillStyle   = 'black';
+      ctx.lineWidth   = 4; // fixed thickness helps flood-fill close small gaps
+    }
+
+    if (pts.length === 1) {
+      const r = stroke.isEraser ? (stroke.brushSize || 4) * scale : 2;
+      ctx.beginPath();
+      ctx.arc(pts[0].x * sx + tx, pts[0].y * sy + ty, r, 0, Math.PI * 2);
+      ctx.fill();
+      continue;
+    }
+    ctx.beginPath();
+    ctx.moveTo(pts[0].x * sx + tx, pts[0].y * sy + ty);
+    for (let i = 1; i < pts.length; i++) {
+      ctx.lineTo(pts[i].x * sx + tx, pts[i].y * sy + ty);
+    }
+    ctx.stroke();
+  }
+}
+
+// ── Contour deviation ──────────────────────────────────────────────────
+
+const CT_RAYS        = 72;   // angular resolution of the radial profile
+const CT_NOTICE      = 0.04; // deviations below 4% of the shape size aren't reported
+const CT_ZERO_AT     = 0.10; // mean contour distance (fraction of size) that scores 0
+const CT_MAX_MESSAGES = 3;
+
+// Eight compass regions, by screen angle (y points down, so 90° is the bottom)
+const CT_REGIONS = [
+  'right side',
+  'bottom-right corner',
+  'bottom',
+  'bottom-left corner',
+  'left side',
+  'top-left corner',
+  'top',
+  'top-right corner',
+];
+
+/**
+ * Compare the drawn outline with the reference outline and say *where*
+ * they differ.
+ *
+ * Unlike computeShapeOverlap(), the drawing is first aligned to the
+ * reference: its bounding box is stretched onto the reference's, so ratio
+ * and size errors (scored separately) don't swamp the shape comparison.
+ * Distances are fractions of the reference's largest dimension.
+ *
+ * @param {object}                  exercise
+ * @param {{ x,y,w,h }}             refBBox   - reference bbox in 700-space
+ * @param {{ minX,minY,cx,cy,w,h }} drawnBBox - drawn ink bbox
+ * @param {Array}                   strokes   - from DrawingCanvas.getStrokes()
+ * @returns {{ contourScore: number, meanDistance: number, hausdorff: number,
+ *             regions: Array<{ region: string, deviation: number }>,
+ *             landmarks: Array<{ name: string, dx: number, dy: number }>,
+ *             feedback: string[] }}
+ *          region deviation > 0 means the drawing bulges out there, < 0 that
+ *          it's pulled in; landmark dx/dy > 0 mean too far right / down.
+ */
+export function computeContourDeviation(exercise, refBBox, drawnBBox, strokes) {
+  const ext   = rotatedExtent(refBBox.w, refBBox.h, exercise.rotation);
+  const scale = OV_FILL / Math.max(ext.w, ext.h);
+  const size  = OV_FILL; // reference's largest dimension in offscreen pixels
+  const half  = OV_SIZE / 2;
+
+  const canvA = new OffscreenCanvas(OV_SIZE, OV_SIZE);
+  const ctxA  = canvA.getContext('2d');
+  const rw = refBBox.w * scale;
+  const rh = refBBox.h * scale;
+  _renderFilledNorm(ctxA, exercise, half - rw / 2, half - rh / 2, rw, rh);
+
+  // Drawing: its bbox stretched onto the (tilted) reference's bbox
+  const canvB = new OffscreenCanvas(OV_SIZE, OV_SIZE);
+  const ctxB  = canvB.getContext('2d');
+  ctxB.fillStyle = 'white';
+  ctxB.fillRect(0, 0, OV_SIZE, OV_SIZE);
+  const sx = ext.w * scale / Math.max(1, drawnBBox.w);
+  const sy = ext.h * scale / Math.max(1, drawnBBox.h);
+  _renderStrokes(ctxB, strokes, sx, sy, half - drawnBBox.cx * sx, half - drawnBBox.cy * sy);
+
+  const dA = ctxA.getImageData(0, 0, OV_SIZE, OV_SIZE).data;
+  const dB = ctxB.getImageData(0, 0, OV_SIZE, OV_SIZE).data;
+  const exterior = _floodFillExterior(dB, OV_SIZE, OV_SIZE);
+  const n = OV_SIZE * OV_SIZE;
+  const refMask   = new Uint8Array(n);
+  const drawnMask = new Uint8Array(n);
+  for (let i = 0; i < n; i++) {
+    refMask[i]   = dA[i * 4 + 3] > 127 ? 1 : 0;
+    drawnMask[i] = dB[i * 4] < 64 || !exterior[i] ? 1 : 0;
+  }
+
+  // ── Mean / Hausdorff distance between the two outlines ───────────────
+  const edgeA = _maskBoundary(refMask, OV_SIZE, OV_SIZE);
+  const edgeB = _maskBoundary(drawnMask, OV_SIZE, OV_SIZE);
+  let sum = 0, count = 0, hausdorff = 0;
+  for (const [from, to] of [[edgeA, edgeB], [edgeB, edgeA]]) {
+    for (const p of from) {
+      let best = Infinity;
+      for (const q of to) {
+        const d = (p.x - q.x) ** 2 + (p.y - q.y) ** 2;
+        if (d < best) best = d;
+      }
+      best = Math.sqrt(best);
+      sum += best;
+      count++;
+      if (best > hausdorff) hausdorff = best;
+    }
+  }
+  const meanDistance = count && edgeA.length && edgeB.length ? sum / count / size : 1;
+  hausdorff = edgeA.length && edgeB.length ? hausdorff / size : 1;
+  const contourScore = clamp(Math.round(100 * (1 - meanDistance / CT_ZERO_AT)));
+
+  // ── Radial profile → per-region bulges ───────────────────────────────
+  const rayDev = [];
+  for (let k = 0; k < CT_RAYS; k++) {
+    const a = k * 2 * Math.PI / CT_RAYS;
+    const rRef   = _rayReach(refMask, OV_SIZE, half, half, a);
+    const rDrawn = _rayReach(drawnMask, OV_SIZE, half, half, a);
+    rayDev.push(rRef > 0 ? (rDrawn - rRef) / size : 0);
+  }
+  const perRegion = CT_RAYS / CT_REGIONS.length;
+  const regions = CT_REGIONS.map((name, r) => {
+    let total = 0;
+    for (let j = -perRegion / 2; j < perRegion / 2; j++) {
+      total += rayDev[(r * perRegion + j + CT_RAYS) % CT_RAYS];
+    }
+    return { region: name, deviation: total / perRegion };
+  });
+
+  // ── Landmarks (e.g. a triangle's apex) ───────────────────────────────
+  const def = getShapeDef(exercise.shapeType);
+  const landmarks = [];
+  if (def && def.landmarks && !exercise.rotation) {
+    for (const landmark of def.landmarks) {
+      const { name } = landmark;
+      const dir = _orientDir(landmark.dir, exercise.orient);
+      const pa = _extremePoint(refMask, OV_SIZE, dir);
+      const pb = _extremePoint(drawnMask, OV_SIZE, dir);
+      if (pa && pb) landmarks.push({ name, dx: (pb.x - pa.x) / size, dy: (pb.y - pa.y) / size });
+    }
+  }
+
+  // ── Feedback messages, biggest first ─────────────────────────────────
+  const notes = [];
+  for (const { region, deviation } of regions) {
+    if (Math.abs(deviation) < CT_NOTICE) continue;
+    const pct = Math.round(Math.abs(deviation) * 100);
+    notes.push({
+      weight: Math.abs(deviation),
+      text: deviation > 0 ? `${region} bulges out ${pct}%` : `${region} is pulled in ${pct}%`,
+    });
+  }
+  for (const { name, dx, dy } of landmarks) {
+    const along = Math.abs(dx) >= Math.abs(dy) ? dx : dy;
+    if (Math.abs(along) < CT_NOTICE) continue;
+    const dirWord = along === dx ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'low' : 'high');
+    notes.push({
+      weight: Math.abs(along),
+      text: `${name} is ${Math.round(Math.abs(along) * 100)}% too far ${dirWord}`,
+    });
+  }
+  notes.sort((a, b) => b.weight - a.weight);
+  const feedback = notes.slice(0, CT_MAX_MESSAGES).map(n => n.text);
+
+  return { contourScore, meanDistance, hausdorff, regions, landmarks, feedback };
+}
+
+// Mask pixels with at least one 4-neighbour outside the mask
+function _maskBoundary(mask, w, h) {
+  const pts = [];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (!mask[i]) continue;
+      if (x === 0 || y === 0 || x === w - 1 || y === h - 1 ||
+          !mask[i - 1] || !mask[i + 1] || !mask[i - w] || !mask[i + w]) {
+        pts.push({ x, y });
+      }
+    }
+  }
+  return pts;
+}
+
+// Distance from (cx, cy) to the farthest mask pixel along the ray at angle a
+function _rayReach(mask, size, cx, cy, a) {
+  const dx = Math.cos(a), dy = Math.sin(a);
+  let reach = 0;
+  for (let r = 0; r < size; r += 0.5) {
+    const x = Math.round(cx + dx * r), y = Math.round(cy + dy * r);
+    if (x < 0 || y < 0 || x >= size || y >= size) break;
+    if (mask[y * size + x]) reach = r;
+  }
+  return reach;
+}
+
+// Where a landmark direction points once the target is mirrored / turned
+function _orientDir(dir, orient) {
+  const unit = { up: [0.5, 0], down: [0.5, 1], left: [0, 0.5], right: [1, 0.5] }[dir];
+  const o = orientPoint(unit[0], unit[1], orient);
+  return o.y === 0 ? 'up' : o.y === 1 ? 'down' : o.x === 0 ? 'left' : 'right';
+}
+
+// Centre of the outermost row/column of the mask in direction dir
+function _extremePoint(mask, size, dir) {
+  const vertical = dir === 'up' || dir === 'down';
+  const outer = dir === 'up' || dir === 'left'
+    ? [...Array(size).keys()]
+    : [...Array(size).keys()].reverse();
+  for (const line of outer) {
+    let total = 0, hits = 0;
+    for (let k = 0; k < size; k++) {
+      const i = vertical ? line * size + k : k * size + line;
+      if (mask[i]) { total += k; hits++; }
+    }
+    if (hits) return vertical ? { x: total / hits, y: line } : { x: line, y: total / hits };
+  }
+  return null;
+}
+
+// Render shape filled at exactly (x,y,w,h) on an offscreen canvas
 function _renderFilledNorm(ctx, exercise, x, y, w, h) {
-  const { shapeType, points } = exercise;
   ctx.fillStyle = 'black';
-  ctx.beginPath();
-  if (shapeType === 'rectangle') {
-    ctx.rect(x, y, w, h);
-  } else if (shapeType === 'ellipse') {
-    ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
-  } else if (shapeType === 'triangle') {
-    ctx.moveTo(x + w / 2, y);
-    ctx.lineTo(x + w, y + h);
-    ctx.lineTo(x, y + h);
-    ctx.closePath();
-  } else if ((shapeType === 'complex' || shapeType === 'complex-rounded') && points) {
-    const mapped = points.map(p => ({ x: x + p.x * w, y: y + p.y * h }));
-    if (shapeType === 'complex-rounded') {
-      const lp = mapped[mapped.length - 1];
-      ctx.moveTo((lp.x + mapped[0].x) / 2, (lp.y + mapped[0].y) / 2);
-      for (let i = 0; i < mapped.length; i++) {
-        const cur = mapped[i], nxt = mapped[(i + 1) % mapped.length];
-        ctx.quadraticCurveTo(cur.x, cur.y, (cur.x + nxt.x) / 2, (cur.y + nxt.y) / 2);
+  drawPath(ctx, exercise, x, y, w, h);
+  ctx.fill();
+}
+
+// ── Deviation heatmap ──────────────────────────────────────────────────
+
+const HEAT_RGBA = {
+  overshoot: [239, 68, 68, 115],  // drawn, but outside the target
+  shortfall: [59, 130, 246, 115], // target the drawing doesn't cover
+  match:     [34, 197, 94, 77],   // covered by both
+};
+
+/** Heatmap colours as CSS strings, for the overlay legend. */
+export const DEVIATION_COLORS = Object.fromEntries(
+  Object.entries(HEAT_RGBA).map(([kind, [r, g, b, a]]) => [kind, `rgba(${r}, ${g}, ${b}, ${(a / 255).toFixed(2)})`])
+);
+
+/**
+ * Colour every canvas pixel by how the drawing and the target disagree.
+ *
+ * Same alignment as computeShapeOverlap() — the reference at its own size,
+ * centred on the drawing — but at full canvas resolution and in canvas
+ * coordinates, so the result can be laid straight over the drawing.
+ *
+ * @param {object}        exercise
+ * @param {{ w, h }}      refBBox - reference size in 700-space
+ * @param {{ cx, cy }}    centre  - where to centre the reference (the drawn
+ *                                  bbox centre, or the oriented box's)
+ * @param {Array}         strokes - from DrawingCanvas.getStrokes()
+ * @returns {{ canvas: OffscreenCanvas, overshoot: number, shortfall: number, match: number }}
+ *          the counts are pixel areas
+ */
+export function computeDeviationMap(exercise, refBBox, centre, strokes) {
+  const canvA = new OffscreenCanvas(CANVAS_RES, CANVAS_RES);
+  const ctxA  = canvA.getContext('2d');
+  ctxA.fillStyle = 'white';
+  ctxA.fillRect(0, 0, CANVAS_RES, CANVAS_RES);
+  _renderFilledNorm(ctxA, exercise, centre.cx - refBBox.w / 2, centre.cy - refBBox.h / 2, refBBox.w, refBBox.h);
+
+  const canvB = new OffscreenCanvas(CANVAS_RES, CANVAS_RES);
+  const ctxB  = canvB.getContext('2d');
+  ctxB.fillStyle = 'white';
+  ctxB.fillRect(0, 0, CANVAS_RES, CANVAS_RES);
+  _renderStrokes(ctxB, strokes, 1, 1, 0, 0);
+
+  const dA = ctxA.getImageData(0, 0, CANVAS_RES, CANVAS_RES).data;
+  const dB = ctxB.getImageData(0, 0, CANVAS_RES, CANVAS_RES).data;
+  const exterior = _floodFillExterior(dB, CANVAS_RES, CANVAS_RES);
+
+  const out    = ctxB.createImageData(CANVAS_RES, CANVAS_RES);
+  const counts = { overshoot: 0, shortfall: 0, match: 0 };
+  for (let i = 0; i < CANVAS_RES * CANVAS_RES; i++) {
+    const inRef   = dA[i * 4] < 64;
+    const inDrawn = dB[i * 4] < 64 || !exterior[i];
+    const kind = inRef && inDrawn ? 'match' : inDrawn ? 'overshoot' : inRef ? 'shortfall' : null;
+    if (!kind) continue;
+    counts[kind]++;
+    out.data.set(HEAT_RGBA[kind], i * 4);
+  }
+
+  const canvas = new OffscreenCanvas(CANVAS_RES, CANVAS_RES);
+  canvas.getContext('2d').putImageData(out, 0, 0);
+  return { canvas, ...counts };
+}
+
+// ── Compositions (several shapes) ──────────────────────────────────────
+
+const CP_RES         = 350;  // ink is grouped at half the canvas resolution
+const CP_OFFSET_ZERO = 0.6;  // placement error (in anchor-shape sizes) that scores 0
+const CP_NOTICE      = 0.08; // ratio / size / placement errors below this aren't reported
+const CP_MAX_MESSAGES = 3;
+
+const CP_POSITIONS = {
+  row:    { 2: ['left', 'right'], 3: ['left', 'middle', 'right'] },
+  column: { 2: ['top', 'bottom'], 3: ['top', 'middle', 'bottom'] },
+};
+
+/**
+ * Score a composition exercise shape by shape.  The ink is split into one
+ * group per target shape (connected blobs, nearest merged first), groups are
+ * matched to shapes in order along the row / column, and three things are
+ * compared:
+ *   ratios    — each shape's own width : height
+ *   sizes     — each shape's size relative to the largest target shape
+ *   placement — each shape's offset from the largest, in that shape's sizes
+ *
+ * Tilted compositions aren't split (returns null); the whole-drawing scores
+ * still apply.  Mirrored / turned targets (see targetExercise()) are scored
+ * with their parts transformed and named by where they end up.
+ *
+ * @param {object}      exercise - with `parts`, `arrange` (see the registry)
+ * @param {{ x,y,w,h }} refBBox  - composition bbox in 700-space
+ * @param {Array}       strokes  - from DrawingCanvas.getStrokes()
+ * @returns {{ compositionScore: number, ratioScore: number, sizeScore: number,
+ *             placementScore: number, detail: string, feedback: string[],
+ *             groups: Array<{ x, y, w, h }> } | null}
+ *          groups are the drawn boxes matched to exercise.parts, in order;
+ *          when fewer groups than shapes were drawn every score is 0
+ */
+export function analyzeComposition(exercise, refBBox, strokes) {
+  if (!exercise.parts || exercise.rotation) return null;
+  const { parts, arrange } = _orientParts(exercise);
+
+  // "left ellipse", "right L block"
+  const names = parts.map((p, i) => {
+    const name = getShapeDef(p.shapeType).name.split(' ').map(w => w.length > 1 ? w.toLowerCase() : w).join(' ');
+    return `${CP_POSITIONS[arrange][parts.length][i]} ${name}`;
+  });
+  const targets = parts.map(({ box }) => ({
+    x: refBBox.x + box.x * refBBox.w, y: refBBox.y + box.y * refBBox.h,
+    w: box.w * refBBox.w,             h: box.h * refBBox.h,
+  }));
+
+  const groups = _groupInk(strokes, parts.length);
+  if (groups.length < parts.length) {
+    return {
+      compositionScore: 0, ratioScore: 0, sizeScore: 0, placementScore: 0,
+      detail: `${groups.length} of ${parts.length} shapes found`,
+      feedback: [`draw all ${parts.length} shapes, with a clear gap between them`],
+      groups,
+    };
+  }
+  const along = arrange === 'row' ? (g => g.x + g.w / 2) : (g => g.y + g.h / 2);
+  groups.sort((a, b) => along(a) - along(b));
+
+  const issues = []; // { err, text } — the biggest are reported
+  const maxDim = b => Math.max(b.w, b.h);
+  const centre = b => ({ x: b.x + b.w / 2, y: b.y + b.h / 2 });
+
+  // Ratios
+  const ratioScores = targets.map((t, i) => {
+    const g = groups[i];
+    const err = (g.w / g.h - t.w / t.h) / (t.w / t.h);
+    const pct = Math.round(Math.abs(err) * 100);
+    if (Math.abs(err) >= CP_NOTICE) issues.push({ err: Math.abs(err), text: `the ${names[i]} is ${pct}% too ${err > 0 ? 'wide' : 'tall'}` });
+    return clamp(Math.round(100 * (1 - Math.abs(err))));
+  });
+
+  // Sizes and placement, relative to the largest target shape
+  const a = targets.reduce((best, t, i) => maxDim(t) > maxDim(targets[best]) ? i : best, 0);
+  const tSize = maxDim(targets[a]), gSize = maxDim(groups[a]);
+  const tA = centre(targets[a]),    gA = centre(groups[a]);
+  const sizeScores = [], placementScores = [];
+  for (let i = 0; i < parts.length; i++) {
+    if (i === a) continue;
+    const sizeErr = (maxDim(groups[i]) / gSize - maxDim(targets[i]) / tSize) / (maxDim(targets[i]) / tSize);
+    if (Math.abs(sizeErr) >= CP_NOTICE) {
+      issues.push({
+        err:  Math.abs(sizeErr),
+        text: `the ${names[i]} is ${Math.round(Math.abs(sizeErr) * 100)}% too ${sizeErr > 0 ? 'large' : 'small'} next to the ${names[a]}`,
+      });
+    }
+    sizeScores.push(clamp(Math.round(100 * (1 - Math.abs(sizeErr)))));
+
+    const tc = centre(targets[i]), gc = centre(groups[i]);
+    const dx = (gc.x - gA.x) / gSize - (tc.x - tA.x) / tSize;
+    const dy = (gc.y - gA.y) / gSize - (tc.y - tA.y) / tSize;
+    const off = Math.hypot(dx, dy);
+    if (off >= CP_NOTICE) {
+      const where = Math.abs(dx) >= Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'low' : 'high');
+      const far   = where === 'right' || where === 'left' ? `too far ${where} of` : `too ${where} next to`;
+      issues.push({ err: off, text: `the ${names[i]} sits ${far} the ${names[a]}` });
+    }
+    placementScores.push(clamp(Math.round(100 * (1 - off / CP_OFFSET_ZERO))));
+  }
+
+  const mean = xs => Math.round(xs.reduce((s, x) => s + x, 0) / xs.length);
+  const ratioScore     = mean(ratioScores);
+  const sizeScore      = mean(sizeScores);
+  const placementScore = mean(placementScores);
+  const compositionScore = mean([ratioScore, sizeScore, placementScore]);
+  const feedback = issues
+    .sort((p, q) => q.err - p.err)
+    .slice(0, CP_MAX_MESSAGES)
+    .map(i => i.text);
+
+  return {
+    compositionScore, ratioScore, sizeScore, placementScore,
+    detail: `ratios ${ratioScore}% · sizes ${sizeScore}% · placement ${placementScore}%`,
+    feedback, groups,
+  };
+}
+
+// A composition's parts and arrangement after its `orient`, parts re-sorted
+// along the row / column
+function _orientParts({ parts, arrange, orient }) {
+  if (!orient) return { parts, arrange };
+  const turned = orient === 'turn-cw' || orient === 'turn-ccw';
+  const moved = parts.map(part => {
+    const { box } = part;
+    const a = orientPoint(box.x, box.y, orient);
+    const b = orientPoint(box.x + box.w, box.y + box.h, orient);
+    return {
+      ...part,
+      box: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), w: Math.abs(b.x - a.x), h: Math.abs(b.y - a.y) },
+    };
+  });
+  const along = turned === (arrange === 'row') ? 'y' : 'x';
+  moved.sort((p, q) => p.box[along] - q.box[along]);
+  return { parts: moved, arrange: along === 'x' ? 'row' : 'column' };
+}
+
+// Split the ink into (at most) `count` groups: connected blobs, with the
+// two closest merged until `count` are left.  Boxes are in 700-space.
+function _groupInk(strokes, count) {
+  const scale = CP_RES / CANVAS_RES;
+  const canv  = new OffscreenCanvas(CP_RES, CP_RES);
+  const ctx   = canv.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, CP_RES, CP_RES);
+  _renderStrokes(ctx, strokes, scale, scale, 0, 0);
+  const data = ctx.getImageData(0, 0, CP_RES, CP_RES).data;
+
+  const seen  = new Uint8Array(CP_RES * CP_RES);
+  const isInk = i => data[i * 4] < 64;
+  let boxes = [];
+  const stack = [];
+  for (let start = 0; start < CP_RES * CP_RES; start++) {
+    if (seen[start] || !isInk(start)) continue;
+    let x0 = CP_RES, y0 = CP_RES, x1 = 0, y1 = 0;
+    seen[start] = 1;
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % CP_RES, y = (i - x) / CP_RES;
+      x0 = Math.min(x0, x); x1 = Math.max(x1, x);
+      y0 = Math.min(y0, y); y1 = Math.max(y1, y);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= CP_RES || ny >= CP_RES) continue;
+          const n = ny * CP_RES + nx;
+          if (!seen[n] && isInk(n)) { seen[n] = 1; stack.push(n); }
+        }
       }
-    } else {
-      ctx.moveTo(mapped[0].x, mapped[0].y);
-      for (let i = 1; i < mapped.length; i++) ctx.lineTo(mapped[i].x, mapped[i].y);
     }
-    ctx.closePath();
+    boxes.push({ x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 });
   }
-  ctx.fill();
+
+  const gap = (p, q) => Math.hypot(
+    Math.max(0, Math.max(p.x, q.x) - Math.min(p.x + p.w, q.x + q.w)),
+    Math.max(0, Math.max(p.y, q.y) - Math.min(p.y + p.h, q.y + q.h)));
+  while (boxes.length > count) {
+    let bi = 0, bj = 1, best = Infinity;
+    for (let i = 0; i < boxes.length; i++) {
+      for (let j = i + 1; j < boxes.length; j++) {
+        const d = gap(boxes[i], boxes[j]);
+        if (d < best) { best = d; bi = i; bj = j; }
+      }
+    }
+    const p = boxes[bi], q = boxes[bj];
+    const x = Math.min(p.x, q.x), y = Math.min(p.y, q.y);
+    const merged = { x, y, w: Math.max(p.x + p.w, q.x + q.w) - x, h: Math.max(p.y + p.h, q.y + q.h) - y };
+    boxes = boxes.filter((_, k) => k !== bi && k !== bj).concat(merged);
+  }
+  return boxes.map(b => ({ x: b.x / scale, y: b.y / scale, w: b.w / scale, h: b.h / scale }));
+}
+
+// ── Placement (sight-size) ─────────────────────────────────────────────
+
+const PL_ZERO_AT = 0.15; // centre offset (fraction of the canvas) that scores 0
+const PL_NOTICE  = 0.02; // offsets below 2% of the canvas count as on the spot
+
+/**
+ * Score where the drawing sits on its canvas against where the target sits
+ * on the reference canvas (the two canvases are the same size).
+ *
+ * @param {{ cx: number, cy: number }} drawnCentre - drawn bbox or oriented box centre
+ * @param {{ x,y,w,h }}                targetBBox  - the target box in 700-space
+ * @returns {{ positionScore: number, dx: number, dy: number, positionDetail: string }}
+ *          dx / dy are the drawing's offset in canvas px: > 0 means too far
+ *          right / too low
+ */
+export function analyzePlacement(drawnCentre, targetBBox) {
+  const dx = drawnCentre.cx - (targetBBox.x + targetBBox.w / 2);
+  const dy = drawnCentre.cy - (targetBBox.y + targetBBox.h / 2);
+  const off = Math.hypot(dx, dy) / CANVAS_RES;
+  const positionScore = clamp(Math.round(100 * (1 - off / PL_ZERO_AT)));
+
+  let positionDetail = 'spot on';
+  if (off >= PL_NOTICE) {
+    const parts = [];
+    if (Math.abs(dx) / CANVAS_RES >= PL_NOTICE / 2) parts.push(`${Math.round(Math.abs(dx))} px too far ${dx > 0 ? 'right' : 'left'}`);
+    if (Math.abs(dy) / CANVAS_RES >= PL_NOTICE / 2) parts.push(`${Math.round(Math.abs(dy))} px too ${dy > 0 ? 'low' : 'high'}`);
+    positionDetail = parts.join(', ');
+  }
+  return { positionScore, dx, dy, positionDetail };
+}
+
+// ── Tilted exercises (oriented measurement) ────────────────────────────
+
+const PCA_MIN_SPREAD   = 1.15; // below this eigenvalue ratio the principal axes are unreliable
+const ANGLE_ZERO_AT    = 30;   // degrees of tilt error that score 0
+const ROUND_SHAPE_FROM = 1.1;  // ellipses closer to a circle than this have no orientation
+
+/**
+ * Rotation-aware analysis for tilted exercises.
+ *
+ * The drawing and the reference are measured the same way — principal axes
+ * of the convex hull of their ink, falling back to the minimum-area bounding
+ * rectangle when the hull is too round for stable axes.  Ratio and size are
+ * then compared along the shapes' own axes instead of the screen's, and the
+ * difference in axis direction becomes the angle error.
+ *
+ * @param {Array<{x,y}>} inkPoints - from DrawingCanvas.getInkPoints()
+ * @param {object}       exercise  - current exercise (with `rotation`)
+ * @param {{ x,y,w,h }}  refBBox   - untilted reference box from renderShape()
+ * @param {{ factor: number, label: string }} [scale] - as for analyzeDrawing()
+ * @returns analyzeDrawing()'s result plus
+ *          { angleScore, angleError, angleDetail, drawnOBB }; angleScore is
+ *          null when the reference has no recognisable orientation (a circle).
+ *          drawnOBB is { cx, cy, w, h, angle } in 700-space, angle in degrees.
+ */
+export function analyzeRotatedDrawing(inkPoints, exercise, refBBox, scale = null) {
+  const nominal = exercise.rotation || 0;
+
+  const canv = new OffscreenCanvas(CANVAS_RES, CANVAS_RES);
+  const ctx  = canv.getContext('2d');
+  _renderFilledNorm(ctx, exercise, refBBox.x, refBBox.y, refBBox.w, refBBox.h);
+  const refPoints = inkRowExtremes(ctx.getImageData(0, 0, CANVAS_RES, CANVAS_RES).data,
+    CANVAS_RES, CANVAS_RES, (d, i) => d[i + 3] > 127);
+
+  const refOBB   = measureOriented(refPoints, nominal);
+  const drawnOBB = measureOriented(inkPoints, nominal);
+
+  const base = analyzeDrawing(drawnOBB, refOBB, scale);
+
+  const oriented = !(exercise.shapeType === 'ellipse' &&
+    Math.max(refBBox.w, refBBox.h) / Math.min(refBBox.w, refBBox.h) < ROUND_SHAPE_FROM);
+  const angleError  = oriented ? drawnOBB.angle - refOBB.angle : 0;
+  const angleScore  = oriented ? clamp(Math.round(100 * (1 - Math.abs(angleError) / ANGLE_ZERO_AT))) : null;
+  const angleDetail = oriented ? describeAngle(angleError) : 'n/a';
+  const hint = makeHint(base.ratioScore, base.sizeScore,
+    drawnOBB.w / drawnOBB.h, refOBB.w / refOBB.h,
+    Math.max(drawnOBB.w, drawnOBB.h), Math.max(refOBB.w, refOBB.h) * (scale ? scale.factor : 1),
+    oriented ? { score: angleScore, error: angleError } : null, scale);
+
+  return { ...base, hint, angleScore, angleError, angleDetail, drawnOBB };
+}
+
+/**
+ * Leftmost and rightmost matching pixel of every row — all a convex hull needs.
+ * @param {(data, i: number) => boolean} isInk - i is the RGBA byte offset
+ * @returns {Array<{x,y}>}
+ */
+function inkRowExtremes(data, w, h, isInk) {
+  const pts = [];
+  for (let y = 0; y < h; y++) {
+    let left = -1, right = -1;
+    for (let x = 0; x < w; x++) {
+      if (isInk(data, (y * w + x) * 4)) {
+        if (left < 0) left = x;
+        right = x;
+      }
+    }
+    if (left >= 0) {
+      pts.push({ x: left, y });
+      if (right !== left) pts.push({ x: right, y });
+    }
+  }
+  return pts;
+}
+
+/**
+ * Oriented bounding box of a point set.
+ *
+ * The box's `w` axis is the one closest to `nominal` degrees, and `angle` is
+ * reported within ±90° of `nominal`, so two measurements taken with the same
+ * nominal angle can be compared directly.
+ * @param {Array<{x,y}>} points
+ * @param {number} nominal - expected direction of the shape's width axis
+ * @returns {{ cx, cy, w, h, angle }}
+ */
+export function measureOriented(points, nominal = 0) {
+  const hull = convexHull(points);
+  let theta = 0;
+  if (hull.length >= 3) {
+    const axes = principalAxes(hull);
+    theta = axes.spread >= PCA_MIN_SPREAD ? axes.angle : minAreaRectAngle(hull);
+  }
+
+  // Extents along the chosen axes
+  const rad = theta * Math.PI / 180;
+  const ux = Math.cos(rad), uy = Math.sin(rad);
+  let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+  for (const p of hull) {
+    const u =  p.x * ux + p.y * uy;
+    const v = -p.x * uy + p.y * ux;
+    if (u < minU) minU = u;
+    if (u > maxU) maxU = u;
+    if (v < minV) minV = v;
+    if (v > maxV) maxV = v;
+  }
+  const mu = (minU + maxU) / 2, mv = (minV + maxV) / 2;
+  const cx = mu * ux - mv * uy;
+  const cy = mu * uy + mv * ux;
+  let w = maxU - minU, h = maxV - minV;
+
+  // Of the two axes, report the one nearest the nominal direction as the width
+  let diff = _wrap180(theta - nominal);
+  if (Math.abs(diff) > 45) {
+    [w, h] = [h, w];
+    diff = _wrap180(diff - 90);
+  }
+  return { cx, cy, w, h, angle: nominal + diff };
+}
+
+/** Convex hull (Andrew's monotone chain), counter-clockwise. */
+export function convexHull(points) {
+  const pts = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+  if (pts.length < 3) return pts;
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [], upper = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  upper.pop();
+  lower.pop();
+  return lower.concat(upper);
+}
+
+// Principal axes of a polygon's area (second moments via Green's theorem).
+// Returns the major-axis angle in degrees and the eigenvalue ratio.
+function principalAxes(poly) {
+  const ox = poly[0].x, oy = poly[0].y; // shift for numerical stability
+  let a = 0, sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const x0 = poly[i].x - ox, y0 = poly[i].y - oy;
+    const n  = poly[(i + 1) % poly.length];
+    const x1 = n.x - ox, y1 = n.y - oy;
+    const c  = x0 * y1 - x1 * y0;
+    a   += c;
+    sx  += (x0 + x1) * c;
+    sy  += (y0 + y1) * c;
+    sxx += (x0 * x0 + x0 * x1 + x1 * x1) * c;
+    syy += (y0 * y0 + y0 * y1 + y1 * y1) * c;
+    sxy += (x0 * y1 + 2 * x0 * y0 + 2 * x1 * y1 + x1 * y0) * c;
+  }
+  a /= 2;
+  if (Math.abs(a) < 1e-9) return { angle: 0, spread: 1 };
+  const mx = sx / (6 * a), my = sy / (6 * a);
+  const mu20 = sxx / (12 * a) - mx * mx;
+  const mu02 = syy / (12 * a) - my * my;
+  const mu11 = sxy / (24 * a) - mx * my;
+
+  const mean = (mu20 + mu02) / 2;
+  const dev  = Math.hypot((mu20 - mu02) / 2, mu11);
+  const l1 = mean + dev, l2 = mean - dev;
+  return {
+    angle:  0.5 * Math.atan2(2 * mu11, mu20 - mu02) * 180 / Math.PI,
+    spread: l2 > 0 ? l1 / l2 : Infinity,
+  };
+}
+
+// Direction (degrees) of the minimum-area enclosing rectangle; one of its
+// sides always lies along a hull edge.
+function minAreaRectAngle(hull) {
+  let best = Infinity, bestAngle = 0;
+  for (let i = 0; i < hull.length; i++) {
+    const p = hull[i], q = hull[(i + 1) % hull.length];
+    const ang = Math.atan2(q.y - p.y, q.x - p.x);
+    const ux = Math.cos(ang), uy = Math.sin(ang);
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+    for (const r of hull) {
+      const u =  r.x * ux + r.y * uy;
+      const v = -r.x * uy + r.y * ux;
+      if (u < minU) minU = u;
+      if (u > maxU) maxU = u;
+      if (v < minV) minV = v;
+      if (v > maxV) maxV = v;
+    }
+    const area = (maxU - minU) * (maxV - minV);
+    if (area < best) { best = area; bestAngle = ang * 180 / Math.PI; }
+  }
+  return bestAngle;
+}
+
+// Wrap an axis direction difference into [-90, 90)
+function _wrap180(deg) {
+  return ((deg + 90) % 180 + 180) % 180 - 90;
 }
 
 /**
@@ -226,22 +1176,38 @@ function describeRatio(drawn, target) {
   return `${pct.toFixed(0)}% too tall`;
 }
 
-function describeSize(drawn, ref) {
+// `ref` is the target size; for scaled copies `scale.label` names it
+function describeSize(drawn, ref, scale = null) {
   const pct = Math.abs(((drawn - ref) / ref) * 100);
-  if (pct < 5)  return 'spot on';
-  if (drawn > ref) return `${pct.toFixed(0)}% too large`;
-  return `${pct.toFixed(0)}% too small`;
+  const forScale = scale ? ` for ${scale.label}` : '';
+  if (pct < 5)  return scale ? `spot on at ${scale.label}` : 'spot on';
+  if (drawn > ref) return `${pct.toFixed(0)}% too large${forScale}`;
+  return `${pct.toFixed(0)}% too small${forScale}`;
 }
 
-function makeHint(ratioScore, sizeScore, drawnRatio, targetRatio, drawnDim, refDim) {
-  if (ratioScore >= 85 && sizeScore >= 85) return '🎉 Both ratio and size are spot on!';
+// Canvas y points down, so a positive angle is clockwise on screen
+function describeAngle(err) {
+  if (Math.abs(err) < 2) return 'spot on';
+  return `${Math.abs(err).toFixed(0)}° too far ${err > 0 ? 'clockwise' : 'counter-clockwise'}`;
+}
+
+function makeHint(ratioScore, sizeScore, drawnRatio, targetRatio, drawnDim, refDim, angle = null, scale = null) {
+  const angleOk = !angle || angle.score >= 85;
+  if (ratioScore >= 85 && sizeScore >= 85 && angleOk) {
+    if (scale) return `🎉 Ratio and size are spot on at ${scale.label}!`;
+    return angle ? '🎉 Ratio, size and tilt are spot on!' : '🎉 Both ratio and size are spot on!';
+  }
 
   const parts = [];
+  if (!angleOk) {
+    parts.push(angle.error > 0 ? 'turn it counter-clockwise' : 'turn it clockwise');
+  }
   if (ratioScore < 85) {
     parts.push(drawnRatio > targetRatio ? 'make it narrower (or taller)' : 'make it wider (or shorter)');
   }
   if (sizeScore < 70) {
-    parts.push(drawnDim > refDim ? 'draw it smaller' : 'draw it larger');
+    const aim = scale ? ` (the target is ${scale.label})` : '';
+    parts.push((drawnDim > refDim ? 'draw it smaller' : 'draw it larger') + aim);
   }
 
   return parts.length ? parts.join(' · ') : '👍 Good – keep practising!';
@@ -0,0 +1,182 @@
+/**
+ * Persistent attempt log for the canvas trainer, backed by IndexedDB.
+ *
+ * Each record looks like:
+ *   { id, timestamp, exercise, refBBox, drawnBBox, scores, strokes, corrections }
+ * where `scores` is the object passed to showScores(), `strokes` is the
+ * snapshot from DrawingCanvas.getStrokes() and `corrections` the flags from
+ * DrawingCanvas.getCorrections() (absent on older records).
+ *
+ * Practice-session reports (see sessions.js) live in a second store, keyed
+ * the same way.
+ */
+
+const DB_NAME    = 'drawing-ratio';
+const DB_VERSION = 2;
+const STORE      = 'attempts';
+const SESSION_STORE = 'sessions';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      let blocked = false;
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+        }
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // The caller already got the blocked error; the next call opens anew
+        if (blocked) {
+          db.close();
+          return;
+        }
+        // Let a newer version open in another tab; the next call reopens
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror   = () => reject(req.error);
+      // An older version is still open in another tab
+      req.onblocked = () => {
+        blocked = true;
+        dbPromise = null;
+        reject(new Error('The history is in use by another tab; close it and try again.'));
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+async function store(mode, name = STORE) {
+  const db = await openDb();
+  return db.transaction(name, mode).objectStore(name);
+}
+
+/**
+ * Append an attempt to the log.
+ * @param {object} attempt - record without `id`; `timestamp` defaults to now
+ * @returns {Promise<number>} the new record id
+ */
+export async function saveAttempt(attempt) {
+  const s = await store('readwrite');
+  return promisify(s.add({ timestamp: Date.now(), ...attempt }));
+}
+
+/** @returns {Promise<object|undefined>} */
+export async function getAttempt(id) {
+  const s = await store('readonly');
+  return promisify(s.get(id));
+}
+
+/**
+ * List attempts, newest first.
+ * @param {number} [limit] - stop after this many records
+ * @returns {Promise<object[]>}
+ */
+export async function listAttempts(limit = Infinity) {
+  return listNewest(await store('readonly'), limit);
+}
+
+/**
+ * The signed errors of stored attempts, newest first: each record cut down
+ * to what collectSamples() (bias.js) reads, so strokes and overlays aren't
+ * kept in memory.
+ * @param {number} [limit]
+ * @returns {Promise<Array<{ timestamp, exercise: { shapeType, ratio, transform },
+ *                          scores: { ratioError, sizeError } }>>}
+ */
+export async function listAttemptErrors(limit = Infinity) {
+  return listNewest(await store('readonly'), limit, ({ timestamp, exercise, scores }) => ({
+    timestamp,
+    exercise: { shapeType: exercise.shapeType, ratio: exercise.ratio, transform: exercise.transform },
+    scores:   scores ? { ratioError: scores.ratioError, sizeError: scores.sizeError } : null,
+  }));
+}
+
+// Records of object store `s`, newest first, each passed through `pick`
+function listNewest(s, limit, pick = record => record) {
+  return new Promise((resolve, reject) => {
+    const out = [];
+    const req = s.index('timestamp').openCursor(null, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || out.length >= limit) return resolve(out);
+      out.push(pick(cursor.value));
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Store a practice-session report.
+ * @param {object} report - from PracticeSession.report(); `timestamp` defaults to its end
+ * @returns {Promise<number>} the new record id
+ */
+export async function saveSessionReport(report) {
+  const s = await store('readwrite', SESSION_STORE);
+  return promisify(s.add({ timestamp: report.endedAt || Date.now(), ...report }));
+}
+
+/**
+ * List session reports, newest first.
+ * @param {number} [limit]
+ * @returns {Promise<object[]>}
+ */
+export async function listSessionReports(limit = Infinity) {
+  return listNewest(await store('readonly', SESSION_STORE), limit);
+}
+
+/** Delete every stored attempt (session reports are kept). */
+export async function clearAttempts() {
+  const s = await store('readwrite');
+  return promisify(s.clear());
+}
+
+/**
+ * Summary statistics over every stored attempt, read with a cursor so the
+ * log never has to fit in memory at once.  The streak counts consecutive
+ * recent attempts ≥ 85%.
+ * @returns {Promise<{ total, avgOverall, best, streak }>}
+ */
+export async function summarizeAttempts() {
+  const s = await store('readonly');
+  return new Promise((resolve, reject) => {
+    let total = 0, sum = 0, best = 0, streak = 0, streaking = true;
+    const req = s.index('timestamp').openCursor(null, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        return resolve({ total, avgOverall: total ? Math.round(sum / total) : 0, best, streak });
+      }
+      const score = cursor.value.scores.overallScore;
+      total++;
+      sum += score;
+      best = Math.max(best, score);
+      if (streaking && score >= 85) streak++;
+      else streaking = false;
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
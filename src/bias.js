@@ -0,0 +1,172 @@
+/**
+ * Systematic bias analytics.  Every attempt's signed ratio and size errors
+ * (see analyzeDrawing()) are pooled with the paper checker's log, broken
+ * down by orientation, ratio magnitude and shape type, and the biases that
+ * persist across many attempts are spelled out.
+ *
+ * A sample looks like:
+ *   { t, source: 'canvas'|'paper', shapeType, ratio: {w, h}, ratioError, sizeError }
+ * where the errors are signed fractions (+0.1 = 10% too wide / too large)
+ * and sizeError is null for attempts without a target size (paper attempts
+ * not drawn at real size).
+ */
+
+import { ratioBucket, orientBBox } from './shapes.js';
+import { getShapeDef } from './shape-registry.js';
+
+/** Where the paper checker logs its attempts (see drawing-ratio.html). */
+export const PAPER_LOG_KEY = 'dr-paper-log';
+
+const BIAS_MIN_SAMPLES = 5;    // groups smaller than this aren't called out
+const BIAS_MIN_ERROR   = 0.05; // mean errors below 5% aren't worth a message
+const BIAS_CONSISTENT  = 0.8;  // share of errors on one side that makes a bias "consistent"
+const BIAS_TENDENCY    = 0.65; // …and that makes it a tendency
+const BIAS_MAX_SHOWN   = 6;
+
+const ORIENTATION_NAMES = { landscape: 'wide shapes', portrait: 'tall shapes', square: 'near-square shapes' };
+const MAGNITUDE_NAMES   = { square: 'near-square ratios', mild: 'moderate ratios', extreme: 'extreme ratios' };
+
+/**
+ * Turn stored attempts into samples, oldest first.  Attempts without a
+ * ratio error (lines and angles) are left out; compositions count by their
+ * overall box.
+ * @param {object[]} attempts - from listAttempts() or listAttemptErrors()
+ * @param {object[]} [paperLog] - entries { t, shapeType, w, h, ratioError, sizeError }
+ * @returns {object[]}
+ */
+export function collectSamples(attempts, paperLog = []) {
+  const samples = [];
+  for (const a of attempts) {
+    const { exercise, scores } = a;
+    if (!scores || typeof scores.ratioError !== 'number' || !exercise.ratio) continue;
+    // Turn drills ask for the turned ratio
+    const box = orientBBox({ x: 0, y: 0, w: exercise.ratio.w, h: exercise.ratio.h }, exercise.transform);
+    samples.push({
+      t: a.timestamp,
+      source: 'canvas',
+      shapeType: exercise.shapeType,
+      ratio: { w: box.w, h: box.h },
+      ratioError: scores.ratioError,
+      sizeError: typeof scores.sizeError === 'number' ? scores.sizeError : null,
+    });
+  }
+  for (const p of paperLog) {
+    if (typeof p.ratioError !== 'number' || !(p.w > 0) || !(p.h > 0)) continue;
+    samples.push({
+      t: p.t, source: 'paper', shapeType: p.shapeType,
+      ratio: { w: p.w, h: p.h }, ratioError: p.ratioError,
+      sizeError: typeof p.sizeError === 'number' ? p.sizeError : null,
+    });
+  }
+  return samples.sort((a, b) => a.t - b.t);
+}
+
+/** 'landscape' | 'portrait' | 'square' */
+export function orientationOf(ratio) {
+  const bucket = ratioBucket(ratio);
+  return bucket === 'square' ? 'square' : bucket.split('-')[1];
+}
+
+/** 'square' | 'mild' | 'extreme' */
+export function magnitudeOf(ratio) {
+  return ratioBucket(ratio).split('-')[0];
+}
+
+/**
+ * Mean signed errors of each group of samples.
+ * @param {object[]} samples
+ * @param {(sample) => string} keyOf
+ * @returns {Array<{ key: string, n: number, ratio: ErrorStats, size: ErrorStats|null }>}
+ *          sorted by sample count, largest first
+ *
+ * @typedef {{ n: number, mean: number, consistency: number }} ErrorStats
+ *          consistency is the share of errors on the same side as the mean
+ */
+export function groupErrors(samples, keyOf) {
+  const groups = new Map();
+  for (const s of samples) {
+    const key = keyOf(s);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s);
+  }
+  return [...groups].map(([key, items]) => ({
+    key,
+    n:     items.length,
+    ratio: errorStats(items.map(s => s.ratioError)),
+    size:  errorStats(items.map(s => s.sizeError).filter(e => e != null)),
+  })).sort((a, b) => b.n - a.n);
+}
+
+function errorStats(errors) {
+  if (!errors.length) return null;
+  const mean = errors.reduce((s, e) => s + e, 0) / errors.length;
+  const same = errors.filter(e => Math.sign(e) === Math.sign(mean)).length;
+  return { n: errors.length, mean, consistency: same / errors.length };
+}
+
+/**
+ * Moving average of one error over the samples, for charting.
+ * @param {object[]} samples - oldest first
+ * @param {'ratioError'|'sizeError'} field
+ * @param {number} [window]
+ * @returns {Array<{ t: number, value: number, mean: number }>}
+ */
+export function errorSeries(samples, field, window = 10) {
+  const points = samples.filter(s => s[field] != null);
+  return points.map((s, i) => {
+    const recent = points.slice(Math.max(0, i - window + 1), i + 1);
+    return { t: s.t, value: s[field], mean: recent.reduce((sum, p) => sum + p[field], 0) / recent.length };
+  });
+}
+
+/**
+ * The persistent biases in the samples, biggest first, e.g.
+ * "You consistently draw tall shapes 12% too narrow".
+ * @param {object[]} samples
+ * @returns {Array<{ text: string, error: number, n: number }>}
+ */
+export function findBiases(samples) {
+  const found = [];
+  const [all] = groupErrors(samples, () => 'all');
+  if (!all) return found;
+
+  // Once an overall bias is called out, a group only is where it stands
+  // apart from it
+  const overall = {};
+  const consider = (label, group) => {
+    for (const kind of ['ratio', 'size']) {
+      const stats = group[kind];
+      if (!stats || stats.n < BIAS_MIN_SAMPLES || Math.abs(stats.mean) < BIAS_MIN_ERROR) continue;
+      if (stats.consistency < BIAS_TENDENCY) continue;
+      if (group === all) overall[kind] = true;
+      else if (overall[kind] && Math.abs(stats.mean - all[kind].mean) < BIAS_MIN_ERROR) continue;
+      const how  = stats.consistency >= BIAS_CONSISTENT ? 'consistently draw' : 'tend to draw';
+      const pct  = Math.round(Math.abs(stats.mean) * 100);
+      const side = kind === 'ratio'
+        ? (stats.mean > 0 ? 'too wide' : 'too narrow')
+        : (stats.mean > 0 ? 'too large' : 'too small');
+      found.push({ text: `You ${how} ${label} ${pct}% ${side}`, error: Math.abs(stats.mean), n: stats.n });
+    }
+  };
+
+  consider('shapes', all);
+  for (const g of groupErrors(samples, s => orientationOf(s.ratio))) consider(ORIENTATION_NAMES[g.key], g);
+  for (const g of groupErrors(samples, s => magnitudeOf(s.ratio))) consider(`shapes with ${MAGNITUDE_NAMES[g.key]}`, g);
+  for (const g of groupErrors(samples, s => s.shapeType)) consider(`the ${shapeName(g.key)}`, g);
+  return found.sort((a, b) => b.error - a.error).slice(0, BIAS_MAX_SHOWN);
+}
+
+/** Label for a breakdown row. */
+export function groupLabel(dimension, key) {
+  if (dimension === 'orientation') return ORIENTATION_NAMES[key];
+  if (dimension === 'magnitude')   return MAGNITUDE_NAMES[key];
+  const def = getShapeDef(key);
+  return def ? def.name : key;
+}
+
+// "ellipse", "L block", "composition"
+function shapeName(type) {
+  const def = getShapeDef(type);
+  const name = def ? def.name.replace(/\s*\(.*\)/, '') : type;
+  return name.split(' ').map(w => w.length > 1 ? w.toLowerCase() : w).join(' ');
+}
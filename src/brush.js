@@ -0,0 +1,169 @@
+/**
+ * Stroke input smoothing and rendering.
+ *
+ * The stabilizer turns raw pointer samples into the points that are shown
+ * and analysed; DrawingCanvas keeps the raw samples alongside.  paintStroke()
+ * draws a stroke as one filled outline whose width follows the pen pressure,
+ * and only uses path calls SvgContext supports, so exports match the canvas.
+ */
+
+export const INK_COLOR = '#1a1a2e';
+
+// ── Stabilizer ─────────────────────────────────────────────────────────
+
+/**
+ * Parse a stabilizer setting such as 'average:6' or 'lazy:12'.
+ *   average:N — each point is the mean of the last N raw samples
+ *   lazy:R    — the brush trails the pointer on a string R px long
+ * Anything else (including 'off') disables smoothing.
+ * @returns {{ method: 'off'|'average'|'lazy', amount: number }}
+ */
+export function parseStabilizer(setting) {
+  const [method, amount] = String(setting).split(':');
+  const n = Number(amount);
+  if ((method === 'average' || method === 'lazy') && n > 0) return { method, amount: n };
+  return { method: 'off', amount: 0 };
+}
+
+/** Smooths one stroke's samples as they arrive. */
+export class Stabilizer {
+  /** @param {{ method: string, amount: number }} settings - from parseStabilizer() */
+  constructor({ method, amount }) {
+    this.method = method;
+    this.amount = amount;
+    this._window = [];   // recent raw samples (moving average)
+    this._brush  = null; // trailing brush position (lazy brush)
+    this._last   = null; // last raw sample
+  }
+
+  /**
+   * Feed one raw sample.
+   * @param {{ x, y, pressure, t }} pt
+   * @returns {{ x, y, pressure, t } | null} the smoothed point, or null when
+   *          the brush didn't move
+   */
+  push(pt) {
+    this._last = pt;
+
+    if (this.method === 'average') {
+      this._window.push(pt);
+      if (this._window.length > this.amount) this._window.shift();
+      const n = this._window.length;
+      let x = 0, y = 0, pressure = 0;
+      for (const p of this._window) { x += p.x; y += p.y; pressure += p.pressure; }
+      return { x: x / n, y: y / n, pressure: pressure / n, t: pt.t };
+    }
+
+    if (this.method === 'lazy') {
+      if (!this._brush) {
+        this._brush = { ...pt };
+        return { ...pt };
+      }
+      const dx = pt.x - this._brush.x, dy = pt.y - this._brush.y;
+      const d  = Math.hypot(dx, dy);
+      if (d <= this.amount) return null;
+      const k = (d - this.amount) / d;
+      this._brush = { x: this._brush.x + dx * k, y: this._brush.y + dy * k, pressure: pt.pressure, t: pt.t };
+      return { ...this._brush };
+    }
+
+    return { ...pt };
+  }
+
+  /**
+   * Finish the stroke: the smoothed line lags the pointer, so close the
+   * gap to where the pen actually lifted.
+   * @returns {{ x, y, pressure, t } | null} a last point to append, if any
+   */
+  end() {
+    if (this.method === 'off' || !this._last) return null;
+    if (this.method === 'average' && this._window.length < 2) return null;
+    if (this.method === 'lazy' && this._brush &&
+        this._brush.x === this._last.x && this._brush.y === this._last.y) return null;
+    return { ...this._last };
+  }
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────
+
+const SHARP_TURN = 0.5; // cos of the turn angle beyond which a joint gets a round patch
+
+/**
+ * Fill a stroke as a smooth outline whose half-width at each point is
+ * brushSize × pressure.
+ * @param {CanvasRenderingContext2D | object} ctx - a canvas or SvgContext
+ * @param {{ points: Array<{x, y, pressure}>, isEraser: boolean, brushSize: number }} stroke
+ */
+export function paintStroke(ctx, { points, isEraser, brushSize }) {
+  if (points.length === 0) return;
+  ctx.fillStyle = isEraser ? 'white' : INK_COLOR;
+  const radii = smoothRadii(points, brushSize);
+
+  if (points.length === 1) {
+    disc(ctx, points[0], radii[0]);
+    return;
+  }
+
+  // Offset the centre line to both sides along the local normal
+  const left = [], right = [];
+  let nx = 0, ny = 1;
+  for (let i = 0; i < points.length; i++) {
+    const a  = points[Math.max(0, i - 1)];
+    const b  = points[Math.min(points.length - 1, i + 1)];
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len = Math.hypot(dx, dy);
+    if (len > 1e-6) { nx = -dy / len; ny = dx / len; }
+    const p = points[i], r = radii[i];
+    left.push({ x: p.x + nx * r, y: p.y + ny * r });
+    right.push({ x: p.x - nx * r, y: p.y - ny * r });
+  }
+
+  ctx.beginPath();
+  curveThrough(ctx, left, true);
+  curveThrough(ctx, right.reverse(), false);
+  ctx.closePath();
+  ctx.fill();
+
+  // Round caps, plus round joints where the outline would fold over
+  disc(ctx, points[0], radii[0]);
+  disc(ctx, points[points.length - 1], radii[radii.length - 1]);
+  for (let i = 1; i < points.length - 1; i++) {
+    const p0 = points[i - 1], p1 = points[i], p2 = points[i + 1];
+    const ax = p1.x - p0.x, ay = p1.y - p0.y, bx = p2.x - p1.x, by = p2.y - p1.y;
+    const la = Math.hypot(ax, ay), lb = Math.hypot(bx, by);
+    if (la > 1e-6 && lb > 1e-6 && (ax * bx + ay * by) / (la * lb) < SHARP_TURN) {
+      disc(ctx, p1, radii[i]);
+    }
+  }
+}
+
+// Per-point radius, lightly averaged so pressure noise doesn't show as blotches
+function smoothRadii(points, brushSize) {
+  return points.map((_, i) => {
+    let sum = 0, n = 0;
+    for (let j = Math.max(0, i - 2); j <= Math.min(points.length - 1, i + 2); j++) {
+      sum += points[j].pressure;
+      n++;
+    }
+    return brushSize * sum / n;
+  });
+}
+
+function disc(ctx, p, r) {
+  ctx.beginPath();
+  ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Quadratic curves through the midpoints, using each point as the control
+// point; starts with moveTo (or lineTo to continue the current path)
+function curveThrough(ctx, pts, move) {
+  if (move) ctx.moveTo(pts[0].x, pts[0].y);
+  else      ctx.lineTo(pts[0].x, pts[0].y);
+  for (let i = 1; i < pts.length - 1; i++) {
+    const cur = pts[i], nxt = pts[i + 1];
+    ctx.quadraticCurveTo(cur.x, cur.y, (cur.x + nxt.x) / 2, (cur.y + nxt.y) / 2);
+  }
+  const last = pts[pts.length - 1];
+  ctx.lineTo(last.x, last.y);
+}
@@ -1,24 +1,51 @@
+import { Stabilizer, parseStabilizer, paintStroke } from './brush.js';
+
 const CANVAS_RES = 700;
-const GRID_SPACING = 25;
+export const GRID_SPACING = 25;
 
 const DEFAULT_PEN_SIZE    = 3;
 const DEFAULT_ERASER_SIZE = 15;
 const LS_PEN_KEY    = 'dr-pen-size';
 const LS_ERASER_KEY = 'dr-eraser-size';
+const LS_STABILIZER_KEY = 'dr-stabilizer';
+const LS_ANALYZE_RAW_KEY = 'dr-analyze-raw';
+
+const SELECT_COLOR = '#667eea';
+const SELECT_PAD   = 6;  // px between the selected ink and its frame
+const HANDLE_SIZE  = 9;  // scale handle square
+const HANDLE_HIT   = 12; // pointer distance that grabs a handle
+const CLICK_SLOP   = 4;  // a lasso smaller than this is a click
+const MIN_SCALE    = 0.05;
 
 export class DrawingCanvas {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext("2d");
-    this.strokes = []; // Array of { points: [{x, y, pressure}], isEraser, brushSize }
+    // Array of { points: [{x, y, pressure, t}], raw, isEraser, brushSize } —
+    // `points` are stabilized (what is shown), `raw` the pointer samples
+    this.strokes = [];
     this.currentStroke = null;
     this.mode = "pen";
     this.penSize    = Number(localStorage.getItem(LS_PEN_KEY))    || DEFAULT_PEN_SIZE;
     this.eraserSize = Number(localStorage.getItem(LS_ERASER_KEY)) || DEFAULT_ERASER_SIZE;
+    this.stabilizer = localStorage.getItem(LS_STABILIZER_KEY) || 'off';
+    this._stabilizer = null; // Stabilizer for the stroke in progress
+    this.analyzeRaw = localStorage.getItem(LS_ANALYZE_RAW_KEY) === '1'; // measure pointer samples, not smoothed points
     this.isDrawing = false;
     this._activePointerId = null; // for palm rejection: lock to first accepted pointer
     this._overlayFn = null;
     this._rafId = null;
+    this._replayStrokes = null; // when set, these are shown instead of this.strokes
+
+    // History: every edit replaces this.strokes with a new array, and stroke
+    // objects are never mutated, so earlier arrays are complete snapshots.
+    this._undoStack = [];
+    this._redoStack = [];
+    this._corrections = { undo: false, move: false, scale: false };
+
+    this._selected = []; // indices into this.strokes (select tool)
+    this._gesture  = null; // select-tool drag: lasso, move or scale
+    this._erasing  = null; // object-eraser drag: { strokes, last, changed }
 
     this._bindEvents();
     this._redraw();
@@ -26,7 +53,12 @@ export class DrawingCanvas {
 
   setMode(mode) {
     this.mode = mode;
-    this.canvas.classList.toggle("is-erasing", mode === "eraser");
+    this.canvas.classList.toggle("is-erasing", mode === "eraser" || mode === "object-eraser");
+    this.canvas.classList.toggle("is-selecting", mode === "select");
+    if (mode !== "select" && this._selected.length) {
+      this._selected = [];
+      this._scheduleRedraw();
+    }
   }
 
   getBrushSize() {
@@ -43,6 +75,27 @@ export class DrawingCanvas {
     }
   }
 
+  /**
+   * Choose how strokes are smoothed while drawing; takes effect from the
+   * next stroke.
+   * @param {string} setting - 'off', 'average:<samples>' or 'lazy:<px>'
+   */
+  setStabilizer(setting) {
+    this.stabilizer = setting;
+    localStorage.setItem(LS_STABILIZER_KEY, setting);
+  }
+
+  /**
+   * Choose what the analysis measures: the smoothed strokes as shown, or
+   * the raw pointer samples.  Applies to getBoundingBox(), getInkPoints()
+   * and getAnalysisStrokes().
+   * @param {boolean} raw
+   */
+  setAnalyzeRaw(raw) {
+    this.analyzeRaw = !!raw;
+    localStorage.setItem(LS_ANALYZE_RAW_KEY, raw ? '1' : '0');
+  }
+
   // ── Event binding ──────────────────────────────────────────────────
 
   _bindEvents() {
@@ -68,6 +121,8 @@ export class DrawingCanvas {
       // pressure: 0 for mouse hover (not pressing), 0.5 for mouse button,
       // 0..1 for pen pressure. Normalise so mouse always gives ~0.5
       pressure: e.pressure > 0 ? e.pressure : 0.5,
+      // ms since page load; coalesced events carry their own timestamps
+      t: e.timeStamp,
     };
   }
 
@@ -81,6 +136,7 @@ export class DrawingCanvas {
 
   _onDown(e) {
     e.preventDefault();
+    if (this._replayStrokes) return; // read-only while a replay is shown
     if (this._isPalmRejected(e)) return;
 
     // Track whether this device has a pen (used to auto-enable palm rejection)
@@ -91,11 +147,24 @@ export class DrawingCanvas {
     this.canvas.setPointerCapture(e.pointerId);
     this._activePointerId = e.pointerId;
     this.isDrawing = true;
+    const pt = this._toCanvas(e);
+    if (this.mode === "select") {
+      this._selectDown(pt);
+      this._scheduleRedraw();
+      return;
+    }
     this._overlayFn = null; // clear overlay when user starts drawing
+    if (this.mode === "object-eraser") {
+      this._erasing = { strokes: this.strokes, last: pt, changed: false };
+      this._eraseAlong(pt);
+      this._scheduleRedraw();
+      return;
+    }
     this.canvas.classList.add("is-drawing");
-    const pt = this._toCanvas(e);
+    this._stabilizer = new Stabilizer(parseStabilizer(this.stabilizer));
     this.currentStroke = {
-      points: [pt],
+      points: [this._stabilizer.push(pt)],
+      raw: [pt],
       isEraser: this.mode === "eraser",
       brushSize: this.getBrushSize(),
     };
@@ -106,9 +175,22 @@ export class DrawingCanvas {
     if (!this.isDrawing) return;
     if (e.pointerId !== this._activePointerId) return;
     e.preventDefault();
+    if (this._gesture) {
+      this._selectMove(this._toCanvas(e));
+      this._scheduleRedraw();
+      return;
+    }
     const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [e];
+    if (this._erasing) {
+      for (const ev of events) this._eraseAlong(this._toCanvas(ev));
+      this._scheduleRedraw();
+      return;
+    }
     for (const ev of events) {
-      this.currentStroke.points.push(this._toCanvas(ev));
+      const pt = this._toCanvas(ev);
+      this.currentStroke.raw.push(pt);
+      const smoothed = this._stabilizer.push(pt);
+      if (smoothed) this.currentStroke.points.push(smoothed);
     }
     this._scheduleRedraw();
   }
@@ -119,10 +201,24 @@ export class DrawingCanvas {
     this.isDrawing = false;
     this._activePointerId = null;
     this.canvas.classList.remove("is-drawing");
+    if (this._gesture) {
+      this._selectUp();
+      this._scheduleRedraw();
+      return;
+    }
+    if (this._erasing) {
+      if (this._erasing.changed) this._commit(this._erasing.strokes);
+      this._erasing = null;
+      this._scheduleRedraw();
+      return;
+    }
     if (this.currentStroke && this.currentStroke.points.length > 0) {
-      this.strokes.push(this.currentStroke);
+      const tail = this._stabilizer.end();
+      if (tail) this.currentStroke.points.push(tail);
+      this._commit([...this.strokes, this.currentStroke]);
     }
     this.currentStroke = null;
+    this._stabilizer = null;
     this._scheduleRedraw();
   }
 
@@ -153,32 +249,8 @@ export class DrawingCanvas {
 
   _drawStroke(stroke) {
     const { ctx } = this;
-    const { points, isEraser, brushSize } = stroke;
-    if (points.length === 0) return;
-
-    const color = isEraser ? "white" : "#1a1a2e";
     ctx.save();
-    ctx.lineCap = "round";
-    ctx.lineJoin = "round";
-    ctx.strokeStyle = color;
-
-    if (points.length === 1) {
-      const r = brushSize * points[0].pressure;
-      ctx.beginPath();
-      ctx.arc(points[0].x, points[0].y, r, 0, Math.PI * 2);
-      ctx.fillStyle = color;
-      ctx.fill();
-    } else {
-      for (let i = 1; i < points.length; i++) {
-        const p0 = points[i - 1];
-        const p1 = points[i];
-        ctx.beginPath();
-        ctx.lineWidth = brushSize * ((p0.pressure + p1.pressure) / 2) * 2;
-        ctx.moveTo(p0.x, p0.y);
-        ctx.lineTo(p1.x, p1.y);
-        ctx.stroke();
-      }
-    }
+    paintStroke(ctx, stroke);
     ctx.restore();
   }
 
@@ -192,53 +264,297 @@ export class DrawingCanvas {
 
     this._drawGrid();
 
-    for (const stroke of this.strokes) this._drawStroke(stroke);
+    if (this._replayStrokes) {
+      for (const stroke of this._replayStrokes) this._drawStroke(stroke);
+      return;
+    }
+
+    for (const stroke of this._previewStrokes()) this._drawStroke(stroke);
     if (this.currentStroke) this._drawStroke(this.currentStroke);
 
     if (this._overlayFn) this._overlayFn(ctx);
+    this._drawSelection();
+  }
+
+  // ── Select tool ───────────────────────────────────────────────────
+  // Drag outside the selection to lasso strokes (or click one), drag inside
+  // it to move, drag a corner handle to scale about the opposite corner.
+
+  _selectDown(pt) {
+    const box = this._selectionBox();
+    const corner = box && this._cornerAt(box, pt);
+    if (corner) {
+      this._gesture = { kind: "scale", anchor: corner.opposite, from: corner, k: 1 };
+    } else if (box && pt.x >= box.minX && pt.x <= box.maxX && pt.y >= box.minY && pt.y <= box.maxY) {
+      this._gesture = { kind: "move", start: pt, dx: 0, dy: 0 };
+    } else {
+      this._gesture = { kind: "lasso", path: [pt] };
+      this._selected = [];
+    }
+  }
+
+  _selectMove(pt) {
+    const g = this._gesture;
+    if (g.kind === "lasso") {
+      g.path.push(pt);
+    } else if (g.kind === "move") {
+      g.dx = pt.x - g.start.x;
+      g.dy = pt.y - g.start.y;
+    } else {
+      // Project the pointer onto the anchor→corner diagonal: uniform scale
+      const ux = g.from.x - g.anchor.x, uy = g.from.y - g.anchor.y;
+      const k  = ((pt.x - g.anchor.x) * ux + (pt.y - g.anchor.y) * uy) / (ux * ux + uy * uy);
+      g.k = Math.max(MIN_SCALE, k);
+    }
+  }
+
+  _selectUp() {
+    const g = this._gesture;
+    if (g.kind === "lasso") {
+      this._selected = this._pickStrokes(g.path);
+    } else if (g.kind === "move" && (g.dx || g.dy)) {
+      this._commit(this._previewStrokes());
+      this._corrections.move = true;
+      this._overlayFn = null;
+    } else if (g.kind === "scale" && g.k !== 1) {
+      this._commit(this._previewStrokes());
+      this._corrections.scale = true;
+      this._overlayFn = null;
+    }
+    this._gesture = null;
+  }
+
+  // The strokes as they'd be if the current drag were released now
+  _previewStrokes() {
+    if (this._erasing) return this._erasing.strokes;
+    const g = this._gesture;
+    if (!g || g.kind === "lasso") return this.strokes;
+    const map = g.kind === "move"
+      ? (p) => ({ ...p, x: p.x + g.dx, y: p.y + g.dy })
+      : (p) => ({ ...p, x: g.anchor.x + (p.x - g.anchor.x) * g.k, y: g.anchor.y + (p.y - g.anchor.y) * g.k });
+    const picked = new Set(this._selected);
+    return this.strokes.map((s, i) => picked.has(i)
+      ? { ...s, points: s.points.map(map), raw: s.raw && s.raw.map(map) }
+      : s);
+  }
+
+  // Strokes with at least half their points inside the lasso; a click
+  // picks the nearest stroke under the pointer instead.
+  _pickStrokes(path) {
+    const xs = path.map((p) => p.x), ys = path.map((p) => p.y);
+    if (Math.max(...xs) - Math.min(...xs) < CLICK_SLOP && Math.max(...ys) - Math.min(...ys) < CLICK_SLOP) {
+      const pt = path[0];
+      let best = -1, bestD = Infinity;
+      this.strokes.forEach((s, i) => {
+        for (const p of s.points) {
+          const d = Math.hypot(p.x - pt.x, p.y - pt.y);
+          if (d <= s.brushSize + HANDLE_HIT && d < bestD) { best = i; bestD = d; }
+        }
+      });
+      return best >= 0 ? [best] : [];
+    }
+    const picked = [];
+    this.strokes.forEach((s, i) => {
+      const inside = s.points.filter((p) => pointInPolygon(p, path)).length;
+      if (s.points.length && inside * 2 >= s.points.length) picked.push(i);
+    });
+    return picked;
+  }
+
+  // Padded bounds of the selected strokes (as currently previewed), or null
+  _selectionBox() {
+    if (!this._selected.length) return null;
+    const strokes = this._previewStrokes();
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const i of this._selected) {
+      const { points, brushSize } = strokes[i];
+      for (const p of points) {
+        minX = Math.min(minX, p.x - brushSize); maxX = Math.max(maxX, p.x + brushSize);
+        minY = Math.min(minY, p.y - brushSize); maxY = Math.max(maxY, p.y + brushSize);
+      }
+    }
+    if (minX > maxX) return null;
+    return { minX: minX - SELECT_PAD, minY: minY - SELECT_PAD, maxX: maxX + SELECT_PAD, maxY: maxY + SELECT_PAD };
+  }
+
+  _corners(box) {
+    return [
+      { x: box.minX, y: box.minY }, { x: box.maxX, y: box.minY },
+      { x: box.maxX, y: box.maxY }, { x: box.minX, y: box.maxY },
+    ];
+  }
+
+  _cornerAt(box, pt) {
+    const cs = this._corners(box);
+    for (let i = 0; i < 4; i++) {
+      if (Math.hypot(cs[i].x - pt.x, cs[i].y - pt.y) <= HANDLE_HIT) {
+        return { ...cs[i], opposite: cs[(i + 2) % 4] };
+      }
+    }
+    return null;
+  }
+
+  _drawSelection() {
+    const { ctx } = this;
+    const g = this._gesture;
+    const box = this._selectionBox();
+    if (!box && !(g && g.kind === "lasso")) return;
+
+    ctx.save();
+    ctx.strokeStyle = SELECT_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([5, 4]);
+    if (g && g.kind === "lasso") {
+      ctx.beginPath();
+      g.path.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.stroke();
+    }
+    if (box) {
+      ctx.strokeRect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY);
+      ctx.setLineDash([]);
+      ctx.fillStyle = "white";
+      for (const c of this._corners(box)) {
+        ctx.fillRect(c.x - HANDLE_SIZE / 2, c.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+        ctx.strokeRect(c.x - HANDLE_SIZE / 2, c.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+      }
+    }
+    ctx.restore();
+  }
+
+  // ── Object eraser ─────────────────────────────────────────────────
+  // Instead of painting white, cut the ink geometry: points under the
+  // eraser are dropped and strokes are split where it crossed them.
+
+  _eraseAlong(pt) {
+    const er = this._erasing;
+    const a = er.last, b = pt;
+    er.last = pt;
+    const out = [];
+    for (const s of er.strokes) {
+      const pieces = s.isEraser ? null : cutStroke(s, a, b, this.eraserSize);
+      if (!pieces) { out.push(s); continue; }
+      er.changed = true;
+      for (const run of pieces) {
+        out.push({ ...s, points: run, raw: rawBetween(s.raw, run) });
+      }
+    }
+    er.strokes = out;
+  }
+
+  // ── History ───────────────────────────────────────────────────────
+
+  // Make `strokes` the current drawing, keeping the old one for undo
+  _commit(strokes) {
+    this._undoStack.push(this.strokes);
+    this._redoStack = [];
+    this.strokes = strokes;
+  }
+
+  _resetHistory() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._selected = [];
+    this._gesture = null;
+    this._corrections = { undo: false, move: false, scale: false };
   }
 
   // ── Public API ────────────────────────────────────────────────────
 
+  /** Wipe the drawing, its undo/redo history and the correction flags. */
   clear() {
     this.strokes = [];
     this.currentStroke = null;
     this._overlayFn = null;
+    this._resetHistory();
     this._scheduleRedraw();
   }
 
+  /** Step back one edit (a stroke, a move or a scale). */
   undo() {
-    if (this.strokes.length > 0) {
-      this.strokes.pop();
-      this._scheduleRedraw();
-    }
+    if (this._undoStack.length === 0) return;
+    this._redoStack.push(this.strokes);
+    this.strokes = this._undoStack.pop();
+    this._selected = [];
+    this._corrections.undo = true;
+    this._scheduleRedraw();
   }
 
-  isEmpty() {
-    return !this.strokes.some((s) => !s.isEraser);
+  /** Re-apply the last undone edit; any new edit empties the redo stack. */
+  redo() {
+    if (this._redoStack.length === 0) return;
+    this._undoStack.push(this.strokes);
+    this.strokes = this._redoStack.pop();
+    this._selected = [];
+    this._scheduleRedraw();
+  }
+
+  /** Drop the selection (select tool). @returns {boolean} whether there was one */
+  deselect() {
+    if (!this._selected.length) return false;
+    this._selected = [];
+    this._scheduleRedraw();
+    return true;
   }
 
   /**
-   * Get the bounding box of visible ink on the canvas.
-   * Reads actual pixel data so erased areas are correctly excluded.
-   * Returns null if no dark pixels are found.
-   * @returns {{ minX, maxX, minY, maxY, w, h, cx, cy } | null}
+   * Which corrections were used on the current drawing since it was
+   * started (or loaded).
+   * @returns {{ undo: boolean, move: boolean, scale: boolean }}
    */
-  getBoundingBox() {
-    // Flush any pending rAF so pixel data is current
+  getCorrections() {
+    return { ...this._corrections };
+  }
+
+  isEmpty() {
+    return !this.strokes.some((s) => !s.isEraser);
+  }
+
+  /** Paint any pending redraw now, so the canvas pixels are current. */
+  flush() {
     if (this._rafId) {
       cancelAnimationFrame(this._rafId);
       this._rafId = null;
       this._redraw();
     }
+  }
+
+  // RGBA pixels of the ink alone: the strokes painted on white off screen,
+  // so the overlay (the deviation heatmap tints ink) and the selection
+  // frame never change what counts as ink.  With analyzeRaw the raw
+  // samples are painted instead.
+  _inkPixels() {
+    if (!this._inkCanvas) {
+      this._inkCanvas = document.createElement("canvas");
+      this._inkCanvas.width  = CANVAS_RES;
+      this._inkCanvas.height = CANVAS_RES;
+    }
+    const ctx = this._inkCanvas.getContext("2d", { willReadFrequently: true });
+    ctx.fillStyle = "white";
+    ctx.fillRect(0, 0, CANVAS_RES, CANVAS_RES);
+    const strokes = this._replayStrokes || (this.analyzeRaw ? this.getStrokes({ raw: true }) : this.strokes);
+    for (const stroke of strokes) {
+      ctx.save();
+      paintStroke(ctx, stroke);
+      ctx.restore();
+    }
+    return ctx.getImageData(0, 0, CANVAS_RES, CANVAS_RES).data;
+  }
 
-    const data = this.ctx.getImageData(0, 0, CANVAS_RES, CANVAS_RES).data;
+  /**
+   * Get the bounding box of the ink.
+   * Reads actual pixel data so erased areas are correctly excluded.
+   * Returns null if no dark pixels are found.
+   * @returns {{ minX, maxX, minY, maxY, w, h, cx, cy } | null}
+   */
+  getBoundingBox() {
+    const data = this._inkPixels();
     let minX = Infinity, maxX = -Infinity;
     let minY = Infinity, maxY = -Infinity;
 
     for (let y = 0; y < CANVAS_RES; y++) {
       for (let x = 0; x < CANVAS_RES; x++) {
-        // Ink is #1a1a2e (R=26); grid dots are #dde1ee (R=221); erased/bg is white (R=255)
+        // Ink is #1a1a2e (R=26); erased/bg is white (R=255)
         if (data[(y * CANVAS_RES + x) * 4] < 64) {
           if (x < minX) minX = x;
           if (x > maxX) maxX = x;
@@ -258,13 +574,84 @@ export class DrawingCanvas {
     };
   }
 
-  /** Return a snapshot of all strokes (used for shape-overlap analysis). */
-  getStrokes() {
-    return this.strokes.map((s) => ({
+  /**
+   * Leftmost and rightmost ink pixel of every row of the canvas — enough to
+   * take the convex hull of the visible ink (used for tilted exercises).
+   * Like getBoundingBox() it reads pixels, so erased ink is excluded.
+   * @returns {Array<{x, y}>}
+   */
+  getInkPoints() {
+    const data = this._inkPixels();
+    const pts = [];
+    for (let y = 0; y < CANVAS_RES; y++) {
+      let left = -1, right = -1;
+      for (let x = 0; x < CANVAS_RES; x++) {
+        if (data[(y * CANVAS_RES + x) * 4] < 64) {
+          if (left < 0) left = x;
+          right = x;
+        }
+      }
+      if (left >= 0) {
+        pts.push({ x: left, y });
+        if (right !== left) pts.push({ x: right, y });
+      }
+    }
+    return pts;
+  }
+
+  /**
+   * Return a snapshot of all strokes (for saving, export and replay).
+   * Each carries both point lists; with `raw: true` the unsmoothed pointer
+   * samples are also put in `points`, so analysis can run on either.
+   * @param {{ raw?: boolean }} [opts]
+   */
+  getStrokes({ raw = false } = {}) {
+    return this.strokes.map((s) => {
+      const rawPts = (s.raw || s.points).slice();
+      return {
+        points: raw ? rawPts : s.points.slice(),
+        raw: rawPts,
+        isEraser: s.isEraser,
+        brushSize: s.brushSize,
+      };
+    });
+  }
+
+  /** The strokes the analysis should measure (see setAnalyzeRaw()). */
+  getAnalysisStrokes() {
+    return this.getStrokes({ raw: this.analyzeRaw });
+  }
+
+  /**
+   * Replace the drawing with a stored stroke snapshot (e.g. a past attempt).
+   * Clears any overlay; call setOverlay() afterwards to restore one.
+   * @param {Array} strokes - same shape as getStrokes() returns
+   */
+  setStrokes(strokes) {
+    this.strokes = strokes.map((s) => ({
       points: s.points.slice(),
+      raw: (s.raw || s.points).slice(), // older snapshots have no raw samples
       isEraser: s.isEraser,
       brushSize: s.brushSize,
     }));
+    this.currentStroke = null;
+    this._overlayFn = null;
+    this._resetHistory();
+    this._scheduleRedraw();
+  }
+
+  /**
+   * Show a partial drawing (a replay frame) instead of the real strokes.
+   * Drawing input and the overlay are suspended until called with null.
+   * @param {Array|null} strokes
+   */
+  setReplayStrokes(strokes) {
+    this._replayStrokes = strokes;
+    this._scheduleRedraw();
+  }
+
+  isReplaying() {
+    return this._replayStrokes !== null;
   }
 
   /**
@@ -275,4 +662,75 @@ export class DrawingCanvas {
     this._overlayFn = fn;
     this._scheduleRedraw();
   }
+
+  /** True while an overlay is shown (drawing, clearing or loading strokes removes it). */
+  hasOverlay() {
+    return this._overlayFn !== null;
+  }
+}
+
+// Even-odd ray casting
+function pointInPolygon(p, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const a = poly[i], b = poly[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * The pieces of a stroke left after erasing along segment a→b with radius r.
+ * @returns {Array<Array>|null} point runs, or null if the eraser missed it
+ */
+function cutStroke({ points, brushSize }, a, b, r) {
+  const hit = (p) => pointSegDist(p, a, b) <= r + brushSize * p.pressure;
+  if (points.length === 1) return hit(points[0]) ? [] : null;
+
+  const runs = [];
+  let run = [];
+  let cut = false;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (hit(p)) {
+      cut = true;
+      if (run.length) runs.push(run);
+      run = [];
+      continue;
+    }
+    // Sparse points: the eraser may pass between two samples without touching either
+    const prev = run[run.length - 1];
+    if (prev && segSegDist(prev, p, a, b) <= r + brushSize * Math.max(prev.pressure, p.pressure)) {
+      cut = true;
+      runs.push(run);
+      run = [];
+    }
+    run.push(p);
+  }
+  if (run.length) runs.push(run);
+  if (!cut) return null;
+  return runs.filter((rn) => rn.length >= 2); // lone leftover points would show as dots
+}
+
+// Raw samples recorded over the same time span as a run of smoothed points
+function rawBetween(raw, run) {
+  const t0 = run[0].t, t1 = run[run.length - 1].t;
+  if (!raw || typeof t0 !== "number" || typeof t1 !== "number") return run.slice();
+  return raw.filter((p) => p.t >= t0 && p.t <= t1);
+}
+
+function pointSegDist(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function segSegDist(p, q, a, b) {
+  const cross = (o, u, v) => (u.x - o.x) * (v.y - o.y) - (u.y - o.y) * (v.x - o.x);
+  const d1 = cross(a, b, p), d2 = cross(a, b, q), d3 = cross(p, q, a), d4 = cross(p, q, b);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return 0;
+  return Math.min(pointSegDist(p, a, b), pointSegDist(q, a, b), pointSegDist(a, p, q), pointSegDist(b, p, q));
 }
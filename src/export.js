@@ -0,0 +1,236 @@
+/**
+ * Exporting attempts as SVG / PNG / JSON and importing JSON back.
+ *
+ * SVG output goes through SvgContext, a recorder that implements the subset
+ * of CanvasRenderingContext2D our drawing code uses.  That way the same
+ * functions that paint the canvas overlay (renderShapeOutline, the legend…)
+ * also produce the vector export, with no second copy of the geometry.
+ */
+
+import { paintStroke } from './brush.js';
+import { getShapeDef } from './shape-registry.js';
+import { isValidExercise } from './shapes.js';
+
+const CANVAS_RES  = 700;
+const JSON_FORMAT = 'drawing-ratio-attempt';
+const JSON_VERSION = 1;
+
+const ARC_SEGMENTS = 48; // partial arcs are flattened into this many segments per turn
+
+function fmt(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(2);
+}
+
+function esc(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+class SvgContext {
+  constructor() {
+    this.fillStyle   = 'black';
+    this.strokeStyle = 'black';
+    this.lineWidth   = 1;
+    this.lineCap     = 'butt';
+    this.lineJoin    = 'miter';
+    this.font        = '10px sans-serif';
+    this._dash  = [];
+    this._stack = [];
+    this._d     = '';
+    this._out   = [];
+  }
+
+  save() {
+    const { fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font, _dash } = this;
+    this._stack.push({ fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font, _dash });
+  }
+
+  restore() {
+    const st = this._stack.pop();
+    if (st) Object.assign(this, st);
+  }
+
+  setLineDash(dash) { this._dash = dash.slice(); }
+  clearRect() {}
+
+  // ── Path building ────────────────────────────────────────────────
+
+  beginPath()        { this._d = ''; }
+  closePath()        { this._d += 'Z'; }
+  moveTo(x, y)       { this._d += `M${fmt(x)} ${fmt(y)}`; }
+  lineTo(x, y)       { this._d += `L${fmt(x)} ${fmt(y)}`; }
+  quadraticCurveTo(cx, cy, x, y) {
+    this._d += `Q${fmt(cx)} ${fmt(cy)} ${fmt(x)} ${fmt(y)}`;
+  }
+
+  rect(x, y, w, h) {
+    this._d += `M${fmt(x)} ${fmt(y)}h${fmt(w)}v${fmt(h)}h${fmt(-w)}Z`;
+  }
+
+  arc(cx, cy, r, start, end) {
+    this.ellipse(cx, cy, r, r, 0, start, end);
+  }
+
+  ellipse(cx, cy, rx, ry, rotation, start, end) {
+    const cos = Math.cos(rotation), sin = Math.sin(rotation);
+    const at = a => {
+      const ex = rx * Math.cos(a), ey = ry * Math.sin(a);
+      return [cx + ex * cos - ey * sin, cy + ex * sin + ey * cos];
+    };
+    const [sx, sy] = at(start);
+    this._d += `${this._d ? 'L' : 'M'}${fmt(sx)} ${fmt(sy)}`;
+
+    if (Math.abs(end - start) >= Math.PI * 2 - 1e-9) {
+      // Full turn: two half-ellipse arcs
+      const [mx, my] = at(start + Math.PI);
+      const deg = fmt(rotation * 180 / Math.PI);
+      this._d += `A${fmt(rx)} ${fmt(ry)} ${deg} 0 1 ${fmt(mx)} ${fmt(my)}`;
+      this._d += `A${fmt(rx)} ${fmt(ry)} ${deg} 0 1 ${fmt(sx)} ${fmt(sy)}`;
+      return;
+    }
+    const n = Math.max(1, Math.ceil(Math.abs(end - start) / (Math.PI * 2) * ARC_SEGMENTS));
+    for (let i = 1; i <= n; i++) {
+      const [x, y] = at(start + (end - start) * i / n);
+      this._d += `L${fmt(x)} ${fmt(y)}`;
+    }
+  }
+
+  // ── Painting ─────────────────────────────────────────────────────
+
+  fill() {
+    if (this._d) this._out.push(`<path d="${this._d}" fill="${esc(this.fillStyle)}"/>`);
+  }
+
+  stroke() {
+    if (this._d) this._out.push(`<path d="${this._d}" fill="none"${this._strokeAttrs()}/>`);
+  }
+
+  fillRect(x, y, w, h) {
+    this._out.push(`<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" fill="${esc(this.fillStyle)}"/>`);
+  }
+
+  strokeRect(x, y, w, h) {
+    this._out.push(`<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" fill="none"${this._strokeAttrs()}/>`);
+  }
+
+  // Bitmaps (the deviation heatmap) are embedded as PNG data URLs
+  drawImage(image, x, y, w = image.width, h = image.height) {
+    let src = image;
+    if (!src.toDataURL) {
+      src = document.createElement('canvas');
+      src.width  = image.width;
+      src.height = image.height;
+      src.getContext('2d').drawImage(image, 0, 0);
+    }
+    this._out.push(`<image x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" href="${src.toDataURL('image/png')}"/>`);
+  }
+
+  fillText(text, x, y) {
+    this._out.push(`<text x="${fmt(x)}" y="${fmt(y)}" fill="${esc(this.fillStyle)}" style="font: ${esc(this.font)}">${esc(text)}</text>`);
+  }
+
+  _strokeAttrs() {
+    let a = ` stroke="${esc(this.strokeStyle)}" stroke-width="${fmt(this.lineWidth)}"`
+          + ` stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"`;
+    if (this._dash.length) a += ` stroke-dasharray="${this._dash.join(' ')}"`;
+    return a;
+  }
+
+  toString(width, height, unit = '') {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}${unit}" height="${height}${unit}" viewBox="0 0 ${width} ${height}">\n`
+         + this._out.join('\n')
+         + '\n</svg>\n';
+  }
+}
+
+/**
+ * Paint with canvas-style calls and get an SVG document back.
+ * @param {(ctx: SvgContext) => void} draw
+ * @param {number} [width]
+ * @param {number} [height]
+ * @param {string} [unit] - CSS unit of the document size, e.g. 'mm' for
+ *        print; drawing coordinates are in the same unit
+ * @returns {string}
+ */
+export function renderSvg(draw, width = CANVAS_RES, height = CANVAS_RES, unit = '') {
+  const ctx = new SvgContext();
+  draw(ctx);
+  return ctx.toString(width, height, unit);
+}
+
+/**
+ * SVG of a drawing: white background, the strokes outlined exactly as the
+ * canvas paints them, then whatever `overlayFn` paints on top (same
+ * function the canvas overlay uses).
+ * @param {Array} strokes - from DrawingCanvas.getStrokes()
+ * @param {((ctx) => void) | null} overlayFn
+ */
+export function attemptToSvg(strokes, overlayFn) {
+  return renderSvg(ctx => {
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, CANVAS_RES, CANVAS_RES);
+
+    for (const stroke of strokes) paintStroke(ctx, stroke);
+
+    if (overlayFn) overlayFn(ctx);
+  });
+}
+
+/**
+ * Serialise an attempt (exercise + strokes) for sharing or bug reports.
+ * @param {{ exercise: object, strokes: Array }} attempt
+ * @returns {string}
+ */
+export function attemptToJson({ exercise, strokes }) {
+  return JSON.stringify({ format: JSON_FORMAT, version: JSON_VERSION, exercise, strokes }, null, 2);
+}
+
+const isNum = n => typeof n === 'number' && Number.isFinite(n);
+
+// Points need x / y; time and pressure are optional but numeric
+function isValidPoint(p) {
+  return !!p && isNum(p.x) && isNum(p.y) &&
+         (p.t == null || isNum(p.t)) && (p.pressure == null || isNum(p.pressure));
+}
+
+function isValidStroke(s) {
+  return !!s && Array.isArray(s.points) && s.points.every(isValidPoint) &&
+         (s.raw == null || (Array.isArray(s.raw) && s.raw.every(isValidPoint))) &&
+         (s.brushSize == null || (isNum(s.brushSize) && s.brushSize > 0));
+}
+
+/**
+ * Parse a document produced by attemptToJson().
+ * @param {string} text
+ * @returns {{ exercise: object, strokes: Array }}
+ * @throws {Error} when the text isn't a valid attempt document
+ */
+export function parseAttemptJson(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file.');
+  }
+  if (!doc || doc.format !== JSON_FORMAT) throw new Error('Not a drawing-ratio attempt file.');
+  if (doc.version > JSON_VERSION) throw new Error('This file was saved by a newer version.');
+
+  const { exercise, strokes } = doc;
+  if (exercise && !getShapeDef(exercise.shapeType)) throw new Error('The file has an unknown shape.');
+  if (!isValidExercise(exercise)) throw new Error('The file has no valid exercise.');
+  if (!Array.isArray(strokes) || !strokes.every(isValidStroke)) {
+    throw new Error('The file has no valid strokes.');
+  }
+  return { exercise, strokes };
+}
+
+/** Offer a Blob to the user as a file download. */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
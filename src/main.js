@@ -1,7 +1,24 @@
 import '../styles/main.css';
-import { createExercise, renderShape, renderShapeOutline } from './shapes.js';
-import { DrawingCanvas } from './drawing.js';
-import { analyzeDrawing, computeShapeOverlap, scoreClass } from './analysis.js';
+import {
+  createExercise, exerciseFromCode, normalizeCustomRatio, isOpenShape, copyScale, renderShape, renderShapeOutline,
+  targetExercise, orientBBox,
+} from './shapes.js';
+import { shapeDefs } from './shape-registry.js';
+import { RATIO_PRESETS } from './ratio-presets.js';
+import { DrawingCanvas, GRID_SPACING } from './drawing.js';
+import {
+  analyzeDrawing, analyzeRotatedDrawing, measureOriented, computeShapeOverlap,
+  computeContourDeviation, computeDeviationMap, analyzeComposition, analyzeLines, targetLineAngles, analyzePlacement,
+  DEVIATION_COLORS, scoreClass,
+} from './analysis.js';
+import { loadModel, saveModel, recordResult, createAdaptiveExercise } from './adaptive.js';
+import { ReplayPlayer } from './replay.js';
+import { attemptToSvg, attemptToJson, parseAttemptJson, downloadBlob } from './export.js';
+import {
+  saveAttempt, getAttempt, listAttempts, clearAttempts, summarizeAttempts, saveSessionReport, listSessionReports,
+} from './attempts.js';
+import { PracticeSession, SESSION_PLANS, getSessionPlan } from './sessions.js';
+import { loadPhoto, createRegionExercise, isPhotoFor, regionOutline, renderPhoto, RegionPicker } from './photo.js';
 
 const CANVAS_RES = 700;
 
@@ -17,17 +34,74 @@ drawCanvas.height = CANVAS_RES;
 
 const dc = new DrawingCanvas(drawCanvas);
 
+// ── Shape dropdown (from the registry) ─────────────────────────────────
+const shapeSelect = document.getElementById('shapeType');
+for (const { type, name } of shapeDefs()) {
+  shapeSelect.add(new Option(name, type));
+}
+
+// ── Ratio source (difficulty, presets, custom) ─────────────────────────
+const difficultySelect = document.getElementById('difficulty');
+const presetSelect     = document.getElementById('presetSelect');
+const customRatio      = document.getElementById('customRatio');
+const customW          = document.getElementById('customW');
+const customH          = document.getElementById('customH');
+
+for (const { id, name } of RATIO_PRESETS) {
+  presetSelect.add(new Option(name, id));
+}
+
+function showRatioControls() {
+  presetSelect.hidden = difficultySelect.value !== 'preset';
+  customRatio.hidden  = difficultySelect.value !== 'custom';
+}
+
+// Options for createExercise() from the ratio controls; null when the custom
+// ratio typed in can't be used (the inputs are flagged)
+function ratioOptions(difficulty) {
+  if (difficulty === 'preset') return { preset: presetSelect.value };
+  if (difficulty !== 'custom') return {};
+  const ratio = normalizeCustomRatio(customW.value, customH.value);
+  customW.classList.toggle('is-invalid', !ratio);
+  customH.classList.toggle('is-invalid', !ratio);
+  return ratio ? { ratio } : null;
+}
+
 // ── State ──────────────────────────────────────────────────────────────
 let exercise = null;
 let refBBox  = null;   // pixel bbox returned by renderShape (700-space)
+let target    = null;  // the shape to draw: the exercise, mirrored / turned for transformation drills
+let targetRef = null;  // its untilted box at the reference's size
+const adaptiveModel = loadModel();
 
 // ── Generate ───────────────────────────────────────────────────────────
 function generate() {
-  exercise = createExercise(
-    document.getElementById('shapeType').value,
-    document.getElementById('difficulty').value,
-  );
-  refBBox = renderShape(refCtx, exercise);
+  const shapeType  = session ? session.nextShapeType(shapeSelect.value) : shapeSelect.value;
+  const difficulty = difficultySelect.value;
+  const ratioOpts  = ratioOptions(difficulty);
+  if (!ratioOpts) return;
+  const opts = {
+    ...ratioOpts,
+    rotate: document.getElementById('tiltToggle').checked,
+    place:  document.getElementById('placeToggle').checked,
+    scale:  scaleSelect.value === 'factor' || scaleSelect.value === 'size' ? scaleSelect.value : Number(scaleSelect.value),
+    transform: transformSelect.value || undefined,
+  };
+  loadExercise(difficulty === 'adaptive'
+    ? createAdaptiveExercise(adaptiveModel, shapeType, opts)
+    : createExercise(shapeType, difficulty, undefined, opts));
+  if (session) {
+    clearTimeout(sessionAdvance);
+    session.startExercise();
+  }
+}
+
+function loadExercise(ex) {
+  stopReplay();
+  if (picker) stopPicking();
+  exercise = ex;
+  renderReference();
+  showExerciseCode(exercise.code);
 
   // Reset ratio reveal
   const rd = document.getElementById('ratioDisplay');
@@ -37,58 +111,448 @@ function generate() {
   // Clear drawing and reset scores
   dc.clear();
   resetScores();
+  startGlimpse();
+}
+
+// Photo regions are shown on their photo when it's loaded; otherwise (an
+// attempt reopened later) the region is drawn as a plain shape.
+function renderReference() {
+  if (exercise.shapeType === 'region' && isPhotoFor(photo, exercise)) {
+    renderPhoto(refCtx, photo.bitmap, regionOutline(exercise));
+    refBBox = { ...exercise.bbox };
+  } else {
+    refBBox = renderShape(refCtx, exercise);
+  }
+  target    = targetExercise(exercise);
+  targetRef = orientBBox(refBBox, exercise.transform);
+  showCopyRequest();
+}
+
+// The box the drawing should match: the target's, scaled about its centre
+// for scaled copies
+function targetBBox() {
+  const scale = copyScale(exercise, targetRef);
+  if (!scale) return targetRef;
+  const w = targetRef.w * scale.factor, h = targetRef.h * scale.factor;
+  return { x: targetRef.x + (targetRef.w - w) / 2, y: targetRef.y + (targetRef.h - h) / 2, w, h };
+}
+
+// ── Scaled and transformed copies ──────────────────────────────────────
+const LS_SCALE_KEY     = 'dr-copy-scale';
+const LS_TRANSFORM_KEY = 'dr-transform';
+const scaleSelect     = document.getElementById('copyScale');
+const transformSelect = document.getElementById('transformSelect');
+const copyRequest     = document.getElementById('copyRequest');
+
+const TRANSFORM_REQUESTS = {
+  'mirror-h': 'mirrored left–right',
+  'mirror-v': 'mirrored top–bottom',
+  'turn-cw':  'turned 90° clockwise',
+  'turn-ccw': 'turned 90° anticlockwise',
+};
+
+scaleSelect.value = localStorage.getItem(LS_SCALE_KEY) || '1';
+if (scaleSelect.selectedIndex < 0) scaleSelect.value = '1';
+scaleSelect.addEventListener('change', () => localStorage.setItem(LS_SCALE_KEY, scaleSelect.value));
+transformSelect.value = localStorage.getItem(LS_TRANSFORM_KEY) || '';
+if (transformSelect.selectedIndex < 0) transformSelect.value = '';
+transformSelect.addEventListener('change', () => localStorage.setItem(LS_TRANSFORM_KEY, transformSelect.value));
+
+// "Draw it at 1.5×" / "Draw it 300 px wide (12 grid steps)" /
+// "Draw it turned 90° clockwise, at 0.5×, in the same place"
+function showCopyRequest() {
+  const scale = copyScale(exercise, targetRef);
+  const turn  = TRANSFORM_REQUESTS[exercise.transform];
+  const place = exercise.place ? 'in the same place' : '';
+  copyRequest.hidden = !scale && !turn && !place;
+  if (copyRequest.hidden) return;
+  let size = '';
+  if (scale) {
+    const { width, height } = exercise.scale;
+    size = width || height
+      ? `${scale.label} (${(width || height) / GRID_SPACING} grid steps)`
+      : `at ${scale.label}`;
+  }
+  copyRequest.textContent = `Draw it ${[turn, size, place].filter(Boolean).join(', ')}`;
+}
+
+// ── Photo reference ────────────────────────────────────────────────────
+const photoInput   = document.getElementById('photoInput');
+const regionBar    = document.getElementById('regionBar');
+const regionMode   = document.getElementById('regionMode');
+const useRegionBtn = document.getElementById('useRegionBtn');
+
+let photo  = null; // { name, bitmap } of the last photo loaded
+let picker = null; // RegionPicker while the subject is being marked
+let exerciseBeforePicking = null;
+
+function startPicking(p) {
+  stopReplay();
+  endGlimpse();
+  if (picker) stopPicking();
+  photo = p;
+  exerciseBeforePicking = exercise;
+  exercise = null; // nothing to analyse against until a region is chosen
+  regionBar.hidden = false;
+  useRegionBtn.disabled = true;
+  picker = new RegionPicker(refCanvas, photo, { onChange: complete => { useRegionBtn.disabled = !complete; } });
+  picker.setMode(regionMode.querySelector('.is-active').dataset.mode);
+}
+
+function stopPicking() {
+  picker.destroy();
+  picker = null;
+  regionBar.hidden = true;
+}
+
+function useRegion() {
+  const outline = picker && picker.region();
+  if (outline) loadExercise(createRegionExercise(photo, outline));
+}
+
+function cancelPicking() {
+  stopPicking();
+  exercise = exerciseBeforePicking;
+  if (exercise) renderReference();
+  else generate();
+}
+
+document.getElementById('photoBtn').addEventListener('click', () => photoInput.click());
+photoInput.addEventListener('change', async () => {
+  const file = photoInput.files[0];
+  photoInput.value = '';
+  if (!file) return;
+  try {
+    startPicking(await loadPhoto(file));
+  } catch (err) {
+    alert(`Could not load ${file.name}: ${err.message}`);
+  }
+});
+
+regionMode.addEventListener('click', e => {
+  const btn = e.target.closest('[data-mode]');
+  if (!btn || !picker) return;
+  for (const b of regionMode.querySelectorAll('[data-mode]')) b.classList.toggle('is-active', b === btn);
+  picker.setMode(btn.dataset.mode);
+});
+useRegionBtn.addEventListener('click', useRegion);
+document.getElementById('cancelRegionBtn').addEventListener('click', cancelPicking);
+
+// ── Exercise codes ─────────────────────────────────────────────────────
+const codeInput = document.getElementById('exerciseCode');
+
+function showExerciseCode(code) {
+  codeInput.value = code || '';
+  codeInput.classList.remove('is-invalid');
+  const url = new URL(location.href);
+  if (code) url.searchParams.set('ex', code);
+  else url.searchParams.delete('ex');
+  history.replaceState(null, '', url);
+}
+
+function loadFromCode(code) {
+  const ex = exerciseFromCode(code);
+  if (!ex) {
+    codeInput.classList.add('is-invalid');
+    return false;
+  }
+  loadExercise(ex);
+  return true;
+}
+
+// ── Memory mode ────────────────────────────────────────────────────────
+// The reference is shown for a few seconds, then hidden until Analyze.
+const LS_MEMORY_KEY = 'dr-memory-seconds';
+
+const memorySelect = document.getElementById('memorySeconds');
+const refContainer = document.getElementById('refContainer');
+const refCountdown = document.getElementById('refCountdown');
+
+memorySelect.value = localStorage.getItem(LS_MEMORY_KEY) || '0';
+
+let glimpse = null; // { seconds, start, timerId, hidden } while a memory exercise is running
+let viewingTime = null; // seconds the current exercise's reference was shown; null outside memory mode
+
+function startGlimpse() {
+  endGlimpse();
+  viewingTime = null;
+  const seconds = Number(memorySelect.value);
+  if (!seconds) return;
+  glimpse = { seconds, start: performance.now(), timerId: setInterval(tickGlimpse, 100), hidden: false };
+  refCountdown.hidden = false;
+  tickGlimpse();
+}
+
+function tickGlimpse() {
+  const left = glimpse.seconds - (performance.now() - glimpse.start) / 1000;
+  if (left > 0) {
+    refCountdown.textContent = Math.ceil(left);
+    return;
+  }
+  clearInterval(glimpse.timerId);
+  glimpse.hidden = true;
+  refContainer.classList.add('is-hidden');
+  refCountdown.textContent = 'Draw it from memory';
+}
+
+/**
+ * Stop the glimpse timer, show the reference again and keep how long it was
+ * visible in viewingTime, so every analysis of this exercise reports it.
+ */
+function endGlimpse() {
+  if (!glimpse) return;
+  clearInterval(glimpse.timerId);
+  const viewed = glimpse.hidden ? glimpse.seconds : (performance.now() - glimpse.start) / 1000;
+  glimpse = null;
+  refContainer.classList.remove('is-hidden');
+  refCountdown.hidden = true;
+  viewingTime = Math.round(viewed * 10) / 10;
 }
 
+memorySelect.addEventListener('change', () => {
+  localStorage.setItem(LS_MEMORY_KEY, memorySelect.value);
+});
+
 // ── Ratio reveal ───────────────────────────────────────────────────────
 function revealRatio() {
   if (!exercise) return;
-  const { w, h } = exercise.ratio;
   const rd = document.getElementById('ratioDisplay');
+  if (isOpenShape(exercise)) {
+    rd.textContent = targetLineAngles(target, targetRef).map(a => `${Math.round(a)}°`).join('  ·  ');
+    document.getElementById('revealBtn').style.display = 'none';
+    return;
+  }
+  const { w, h } = exercise.ratio;
   rd.textContent = `${w} : ${h}  (${(w / h).toFixed(3)})`;
+  if (exercise.ratioLabel) rd.textContent += `  ${exercise.ratioLabel}`;
+  if (exercise.rotation) rd.textContent += `  ↻ ${exercise.rotation}°`;
   document.getElementById('revealBtn').style.display = 'none';
 }
 
 // ── Analyze ────────────────────────────────────────────────────────────
+let savedStrokes = null; // dc.strokes of the last drawing saved to the history
+
 function analyze() {
+  stopReplay();
   if (!exercise || dc.isEmpty()) return;
   const drawn = dc.getBoundingBox();
+  if (isOpenShape(exercise)) {
+    if (drawn && Math.max(drawn.w, drawn.h) >= 5) analyzeLineDrawing(drawn);
+    return;
+  }
   if (!drawn || drawn.w < 5 || drawn.h < 5) return;
 
-  const result = analyzeDrawing(drawn, refBBox);
+  endGlimpse();
+  // Tilted exercises are measured along the shape's own axes
+  const result = exercise.rotation
+    ? analyzeRotatedDrawing(dc.getInkPoints(), target, targetRef, copyScale(exercise, targetRef))
+    : analyzeDrawing(drawn, targetRef, copyScale(exercise, targetRef));
   const { shapeScore, shapeDetail } = computeShapeOverlap(
-    exercise, refBBox, drawn, dc.getStrokes()
+    target, targetBBox(), drawn, dc.getAnalysisStrokes()
   );
-  // Recompute overall incorporating all three scores (ratio 40%, size 25%, shape 35%)
-  const overallScore = Math.max(0, Math.min(100, Math.round(
-    result.ratioScore * 0.40 + result.sizeScore * 0.25 + shapeScore * 0.35
-  )));
-  showScores({ ...result, shapeScore, shapeDetail, overallScore });
+  const contour = computeContourDeviation(target, targetRef, drawn, dc.getAnalysisStrokes());
+  const composition = analyzeComposition(target, targetRef, dc.getAnalysisStrokes());
+  // Recompute overall incorporating all three scores (ratio 40%, size 25%, shape 35%),
+  // or four when tilt is scored (ratio 35%, size 20%, shape 30%, angle 15%).
+  // For compositions the shape-by-shape layout score counts for half, and
+  // placement drills give a fifth to the position.
+  let weighted = result.angleScore != null
+    ? result.ratioScore * 0.35 + result.sizeScore * 0.20 + shapeScore * 0.30 + result.angleScore * 0.15
+    : result.ratioScore * 0.40 + result.sizeScore * 0.25 + shapeScore * 0.35;
+  if (composition) weighted = weighted * 0.5 + composition.compositionScore * 0.5;
+  const placement = exercise.place ? analyzePlacement(result.drawnOBB || drawn, targetBBox()) : null;
+  if (placement) weighted = weighted * 0.8 + placement.positionScore * 0.2;
+  const overallScore = Math.max(0, Math.min(100, Math.round(weighted)));
+  const scores = { ...result, shapeScore, shapeDetail, contour, composition, ...placement, overallScore };
+  showScores(scores);
   revealRatio();
+  showAnalysisOverlay(drawn, result.drawnOBB);
+
+  if (dc.strokes === savedStrokes) return;
+  saveModel(recordResult(adaptiveModel, exercise, result.ratioError));
+  storeAttempt(drawn, scores);
+}
+
+// Lines and angles have no ratio, size or filled shape: only slopes and
+// relative lengths are scored, and the adaptive model isn't updated.
+function analyzeLineDrawing(drawn) {
+  endGlimpse();
+  const scores = analyzeLines(target, targetRef, dc.getAnalysisStrokes());
+  if (exercise.place) {
+    Object.assign(scores, analyzePlacement(drawn, targetBBox()));
+    scores.overallScore = Math.round(scores.overallScore * 0.8 + scores.positionScore * 0.2);
+  }
+  showScores(scores);
+  revealRatio();
+  showAnalysisOverlay(drawn, null, scores.fitted);
+  if (dc.strokes !== savedStrokes) storeAttempt(drawn, scores);
+}
+
+// Save the analysed drawing and count it towards the session.  Every edit
+// replaces dc.strokes, so pressing Analyze again on the same drawing only
+// shows the scores.
+function storeAttempt(drawn, scores) {
+  savedStrokes = dc.strokes;
+  const corrections = dc.getCorrections();
+  saveAttempt({ exercise, refBBox, drawnBBox: drawn, scores, viewingTime, corrections, strokes: dc.getStrokes() })
+    .then(refreshHistory)
+    .catch(() => {
+      document.getElementById('scoreHint').textContent += ' Not saved: history is unavailable in this browser.';
+    });
+  recordSessionAttempt(scores);
+}
+
+// ── Analysis overlay ───────────────────────────────────────────────────
+// Two views of the same analysis: the target outline over the drawn box,
+// or a heatmap of where the drawing overshoots / falls short of the target.
+const OVERLAY_VIEW_KEY = 'dr-overlay-view';
+const overlayToggle = document.getElementById('overlayToggle');
+let overlayView = localStorage.getItem(OVERLAY_VIEW_KEY) === 'heatmap' ? 'heatmap' : 'outline';
+let lastOverlay = null;   // { drawn, obb, fitted } of the analysis overlay last shown
+let heatmapCache = null;  // { drawn, obb, map } — computed on first heatmap view
+
+// `fitted` (lines exercises) are the straight segments fitted to the drawing
+function showAnalysisOverlay(drawn, obb = null, fitted = null) {
+  lastOverlay  = { drawn, obb, fitted };
+  heatmapCache = null;
+  dc.setOverlay(ctx => drawAnalysisOverlay(ctx, drawn, obb, fitted));
+}
+
+function setOverlayView(view) {
+  overlayView = view;
+  localStorage.setItem(OVERLAY_VIEW_KEY, view);
+  for (const btn of overlayToggle.querySelectorAll('[data-view]')) {
+    btn.classList.toggle('is-active', btn.dataset.view === view);
+  }
+  if (lastOverlay && dc.hasOverlay()) showAnalysisOverlay(lastOverlay.drawn, lastOverlay.obb, lastOverlay.fitted);
+}
+
+function deviationMap(drawn, obb) {
+  if (!heatmapCache || heatmapCache.drawn !== drawn || heatmapCache.obb !== obb) {
+    const map = computeDeviationMap(target, targetBBox(), overlayCentre(drawn, obb), dc.getAnalysisStrokes());
+    heatmapCache = { drawn, obb, map };
+  }
+  return heatmapCache.map;
+}
+
+function drawAnalysisOverlay(ctx, drawn, obb = null, fitted = null) {
+  // Open lines have no area to map, so they always get the outline view
+  if (overlayView === 'heatmap' && !isOpenShape(exercise)) {
+    ctx.drawImage(deviationMap(drawn, obb).canvas, 0, 0);
+    drawLegend(ctx, [
+      { label: 'overshoot', fill: DEVIATION_COLORS.overshoot },
+      { label: 'missing',   fill: DEVIATION_COLORS.shortfall },
+      { label: 'match',     fill: DEVIATION_COLORS.match },
+    ]);
+    if (exercise.place) drawOffsetArrow(ctx, obb || drawn);
+    return;
+  }
+  drawOutlineOverlay(ctx, drawn, obb, fitted);
+}
+
+// Where the overlay puts the target: centred on the drawing, or for
+// placement drills where it belongs on the page
+function overlayCentre(drawn, obb) {
+  return exercise.place ? placedCentre() : obb || drawn;
+}
 
-  // Overlay: target shape centered on drawn bbox + drawn bbox rect + legend
-  const ox = drawn.cx - refBBox.w / 2;
-  const oy = drawn.cy - refBBox.h / 2;
+function placedCentre() {
+  const box = targetBBox();
+  return { cx: box.x + box.w / 2, cy: box.y + box.h / 2 };
+}
+
+// Overlay: target shape centered on drawn bbox + drawn bbox rect + legend.
+// For tilted exercises `obb` (the drawing's oriented box) replaces the
+// axis-aligned one, and the target is tilted by the exercise rotation.
+// For lines exercises the fitted segments are drawn instead of a box.
+// Placement drills show the target in its place, with an arrow from the
+// drawing to it.
+function drawOutlineOverlay(ctx, drawn, obb = null, fitted = null) {
+  const c   = overlayCentre(drawn, obb);
+  const box = targetBBox();
+  const ox  = c.cx - box.w / 2;
+  const oy  = c.cy - box.h / 2;
 
-  dc.setOverlay(ctx => {
-    renderShapeOutline(ctx, exercise, ox, oy, refBBox.w, refBBox.h);
+  renderShapeOutline(ctx, target, ox, oy, box.w, box.h);
+  if (exercise.place) drawOffsetArrow(ctx, obb || drawn);
 
-    // Drawn bounding box in red
-    ctx.save();
-    ctx.strokeStyle = '#ef4444';
-    ctx.lineWidth   = 1.5;
-    ctx.setLineDash([4, 3]);
+  // Drawn bounding box in red
+  ctx.save();
+  ctx.strokeStyle = '#ef4444';
+  ctx.lineWidth   = 1.5;
+  ctx.setLineDash([4, 3]);
+  if (fitted) {
+    ctx.beginPath();
+    for (const { a, b } of fitted) {
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+    }
+    ctx.stroke();
+  } else if (obb) {
+    const rad = obb.angle * Math.PI / 180;
+    const ux = Math.cos(rad), uy = Math.sin(rad);
+    ctx.beginPath();
+    for (const [su, sv] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+      const u = su * obb.w / 2, v = sv * obb.h / 2;
+      ctx.lineTo(obb.cx + u * ux - v * uy, obb.cy + u * uy + v * ux);
+    }
+    ctx.closePath();
+    ctx.stroke();
+  } else {
     ctx.strokeRect(drawn.minX, drawn.minY, drawn.w, drawn.h);
-    ctx.restore();
+  }
+  ctx.restore();
 
-    drawLegend(ctx);
-  });
+  drawLegend(ctx, null, fitted ? 'fitted lines' : 'drawn area');
 }
 
-function drawLegend(ctx) {
+// Amber arrow from the drawing's centre to where the target's centre is
+function drawOffsetArrow(ctx, from) {
+  const to = placedCentre();
+  const len = Math.hypot(to.cx - from.cx, to.cy - from.cy);
+  if (len < 4) return;
+  const ux = (to.cx - from.cx) / len, uy = (to.cy - from.cy) / len;
+  const head = Math.min(12, len / 2);
+  ctx.save();
+  ctx.strokeStyle = ctx.fillStyle = '#f59e0b';
+  ctx.lineWidth   = 2.5;
+  ctx.lineCap     = 'round';
+  ctx.beginPath();
+  ctx.moveTo(from.cx, from.cy);
+  ctx.lineTo(to.cx - ux * head, to.cy - uy * head);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(to.cx, to.cy);
+  ctx.lineTo(to.cx - ux * head - uy * head / 2, to.cy - uy * head + ux * head / 2);
+  ctx.lineTo(to.cx - ux * head + uy * head / 2, to.cy - uy * head - ux * head / 2);
+  ctx.closePath();
+  ctx.fill();
+  ctx.beginPath();
+  ctx.arc(from.cx, from.cy, 3, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+// Bottom-left key.  Without `swatches` it explains the outline view (with
+// `drawnLabel` for the red dashes); with them, one filled square per
+// heatmap colour.
+function drawLegend(ctx, swatches = null, drawnLabel = 'drawn area') {
   ctx.save();
   ctx.font = '11px Segoe UI, system-ui, sans-serif';
   const lx = 10, by = CANVAS_RES - 10;
 
+  if (swatches) {
+    swatches.forEach(({ label, fill }, i) => {
+      const y = by - (swatches.length - 1 - i) * 14;
+      ctx.fillStyle = fill;
+      ctx.fillRect(lx + 4, y - 9, 10, 10);
+      ctx.fillStyle = '#444';
+      ctx.fillText(label, lx + 22, y);
+    });
+    ctx.restore();
+    return;
+  }
+
   // "target" — blue solid-ish dashes
   ctx.strokeStyle = '#667eea';
   ctx.lineWidth   = 2;
@@ -108,32 +572,54 @@ function drawLegend(ctx) {
   ctx.moveTo(lx, by); ctx.lineTo(lx + 18, by);
   ctx.stroke();
   ctx.fillStyle = '#ef4444';
-  ctx.fillText('drawn area', lx + 22, by + 4);
+  ctx.fillText(drawnLabel, lx + 22, by + 4);
 
   ctx.restore();
 }
 
 // ── Score display ──────────────────────────────────────────────────────
-function showScores({ ratioScore, sizeScore, shapeScore, overallScore, ratioDetail, sizeDetail, shapeDetail, hint }) {
-  setBar('ratioFill', 'ratioVal', ratioScore);
-  setBar('sizeFill',  'sizeVal',  sizeScore);
-  setBar('shapeFill', 'shapeVal', shapeScore);
-  document.getElementById('ratioDetail').textContent  = ratioDetail;
-  document.getElementById('sizeDetail').textContent   = sizeDetail;
-  document.getElementById('shapeDetail').textContent  = shapeDetail;
+function showScores({ ratioScore, sizeScore, shapeScore, angleScore, lengthScore, positionScore, overallScore, ratioDetail, sizeDetail, shapeDetail, angleDetail, lengthDetail, positionDetail, contour, composition, hint }) {
+  // Lines exercises only have angle (and length) scores
+  if (ratioScore != null) setBar('ratioFill', 'ratioVal', ratioScore);
+  if (sizeScore  != null) setBar('sizeFill',  'sizeVal',  sizeScore);
+  if (shapeScore != null) setBar('shapeFill', 'shapeVal', shapeScore);
+  if (angleScore != null) setBar('angleFill', 'angleVal', angleScore);
+  if (lengthScore != null) setBar('lengthFill', 'lengthVal', lengthScore);
+  document.getElementById('lengthDetail').textContent = lengthDetail || '';
+  if (positionScore != null) setBar('positionFill', 'positionVal', positionScore);
+  document.getElementById('positionDetail').textContent = positionDetail || '';
+  if (composition) setBar('layoutFill', 'layoutVal', composition.compositionScore);
+  document.getElementById('layoutDetail').textContent = composition ? composition.detail : '';
+  document.getElementById('layoutFeedback').textContent = composition ? describeComposition(composition) : '';
+  document.getElementById('ratioDetail').textContent  = ratioDetail || '';
+  document.getElementById('sizeDetail').textContent   = sizeDetail || '';
+  document.getElementById('shapeDetail').textContent  = shapeDetail || '';
+  document.getElementById('angleDetail').textContent  = angleDetail || '';
   const el = document.getElementById('overallVal');
   el.textContent = overallScore + '%';
   el.className   = `score-overall__val col-${scoreClass(overallScore)}`;
   document.getElementById('scoreHint').textContent = hint;
+  document.getElementById('contourFeedback').textContent = contour ? describeContour(contour) : '';
+}
+
+// "Outline 3% off on average — left side bulges out 8% · apex is 5% too far right"
+function describeContour({ meanDistance, feedback }) {
+  const avg = `Outline ${(meanDistance * 100).toFixed(1)}% off on average`;
+  return feedback.length ? `${avg} — ${feedback.join(' · ')}` : `${avg}, no region stands out`;
+}
+
+// "Layout: the right star is 20% too small next to the left ellipse · …"
+function describeComposition({ feedback }) {
+  return feedback.length ? `Layout: ${feedback.join(' · ')}` : 'Layout: sizes and spacing between the shapes look right';
 }
 
 function resetScores() {
-  for (const id of ['ratioFill', 'sizeFill', 'shapeFill']) {
+  for (const id of ['ratioFill', 'sizeFill', 'shapeFill', 'angleFill', 'lengthFill', 'positionFill', 'layoutFill']) {
     const el = document.getElementById(id);
     el.style.width = '0%';
     el.className   = 'score-bar__fill';
   }
-  for (const id of ['ratioVal', 'sizeVal', 'shapeVal']) {
+  for (const id of ['ratioVal', 'sizeVal', 'shapeVal', 'angleVal', 'lengthVal', 'positionVal', 'layoutVal']) {
     const el = document.getElementById(id);
     el.textContent = '—';
     el.className   = 'score-val';
@@ -144,7 +630,24 @@ function resetScores() {
   document.getElementById('ratioDetail').textContent  = '';
   document.getElementById('sizeDetail').textContent   = '';
   document.getElementById('shapeDetail').textContent  = '';
-  document.getElementById('scoreHint').textContent    = 'Draw the shape, then click Analyze.';
+  document.getElementById('angleDetail').textContent  = '';
+  const lines = !!exercise && isOpenShape(exercise);
+  for (const id of ['ratioGroup', 'sizeGroup', 'shapeGroup']) document.getElementById(id).hidden = lines;
+  document.getElementById('angleGroup').hidden = !(exercise && (exercise.rotation || lines));
+  document.getElementById('lengthGroup').hidden = !(lines && exercise.lines.some(l => l.length > 2));
+  document.getElementById('lengthDetail').textContent = '';
+  document.getElementById('positionGroup').hidden = !(exercise && exercise.place);
+  document.getElementById('positionDetail').textContent = '';
+  // Tilted compositions are only scored as a whole (see analyzeComposition)
+  document.getElementById('layoutGroup').hidden = !(exercise && exercise.parts && !exercise.rotation);
+  document.getElementById('layoutDetail').textContent = '';
+  document.getElementById('scoreHint').textContent    = exercise && exercise.parts
+    ? 'Draw each shape, then click Analyze.'
+    : exercise && exercise.lines
+      ? 'Copy the lines, then click Analyze.'
+      : 'Draw the shape, then click Analyze.';
+  document.getElementById('contourFeedback').textContent = '';
+  document.getElementById('layoutFeedback').textContent = '';
 }
 
 function setBar(fillId, valId, score) {
@@ -157,20 +660,487 @@ function setBar(fillId, valId, score) {
   val.className    = `score-val col-${cls}`;
 }
 
+// ── Attempt history ────────────────────────────────────────────────────
+const HISTORY_LIMIT = 200; // rows rendered in the panel; the store keeps everything
+
+const historyPanel = document.getElementById('historyPanel');
+const historyList  = document.getElementById('historyList');
+
+// Text goes in with textContent: shape names, codes and plan names come
+// from the store, which imported files can write to
+function elem(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+// "✎ moved, scaled" for attempts fixed up with undo / the select tool
+function correctionBadge(corrections) {
+  if (!corrections) return null;
+  const used = Object.keys(corrections).filter(k => corrections[k]);
+  if (!used.length) return null;
+  const badge = elem('span', 'badge', `✎ ${used.join(', ')}`);
+  badge.title = 'Corrections used on this drawing';
+  return badge;
+}
+
+// A history / report list row: details on the left, score on the right
+function historyRow(id, title, badges, timestamp, score) {
+  const item = elem('button', 'history-item');
+  item.dataset.id = id;
+  const main = elem('span', 'history-item__main');
+  main.append(elem('strong', null, title), ...badges.filter(Boolean),
+    elem('span', 'history-item__date', new Date(timestamp).toLocaleString()));
+  item.append(main, elem('span', `history-item__score col-${scoreClass(score)}`, `${score}%`));
+  return item;
+}
+
+async function refreshHistory() {
+  if (!historyPanel.classList.contains('is-open')) return;
+  let attempts, summary;
+  try {
+    [attempts, summary] = await Promise.all([listAttempts(HISTORY_LIMIT), summarizeAttempts()]);
+  } catch {
+    historyUnavailable();
+    return;
+  }
+
+  const { total, avgOverall, best, streak } = summary;
+  document.getElementById('histTotal').textContent  = total;
+  document.getElementById('histAvg').textContent    = total ? avgOverall + '%' : '—';
+  document.getElementById('histBest').textContent   = total ? best + '%' : '—';
+  document.getElementById('histStreak').textContent = streak;
+
+  if (total === 0) {
+    historyList.innerHTML = '<p class="history-empty">No attempts yet.</p>';
+    return;
+  }
+  historyList.innerHTML = '';
+  for (const a of attempts) {
+    const { shapeType, ratio, code, kind } = a.exercise;
+    let viewing = null;
+    if (a.viewingTime != null) {
+      viewing = elem('span', 'badge', `👁 ${a.viewingTime}s`);
+      viewing.title = 'Memory mode: seconds the reference was visible';
+    }
+    const item = historyRow(a.id, shapeType, [
+      elem('span', 'badge', a.exercise.lines ? kind : `${ratio.w}:${ratio.h}`),
+      code ? elem('span', 'badge badge--code', code) : null,
+      viewing,
+      correctionBadge(a.corrections),
+    ], a.timestamp, a.scores.overallScore);
+    historyList.appendChild(item);
+  }
+}
+
+function historyUnavailable() {
+  historyList.innerHTML = '<p class="history-empty">History is unavailable in this browser.</p>';
+}
+
+async function reopenAttempt(id) {
+  let a;
+  try {
+    a = await getAttempt(id);
+  } catch {
+    historyUnavailable();
+    return;
+  }
+  if (!a) return;
+  try {
+    loadExercise(a.exercise);
+  } catch (err) {
+    alert(`Could not open this attempt: ${err.message}`);
+    return;
+  }
+  endGlimpse();
+  viewingTime = a.viewingTime != null ? a.viewingTime : null; // not the instant glimpse just ended
+  dc.setStrokes(a.strokes);
+  savedStrokes = dc.strokes; // already in the history
+  showScores(a.scores);
+  revealRatio();
+  showAnalysisOverlay(a.drawnBBox, a.scores.drawnOBB, a.scores.fitted);
+}
+
+function toggleHistory(open = !historyPanel.classList.contains('is-open')) {
+  historyPanel.classList.toggle('is-open', open);
+  if (open) {
+    sessionPanel.classList.remove('is-open');
+    refreshHistory();
+  }
+}
+
+document.getElementById('historyBtn').addEventListener('click', () => toggleHistory());
+document.getElementById('closeHistoryBtn').addEventListener('click', () => toggleHistory(false));
+historyList.addEventListener('click', e => {
+  const item = e.target.closest('.history-item');
+  if (item) reopenAttempt(Number(item.dataset.id));
+});
+document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
+  if (!confirm('Delete all saved attempts?')) return;
+  try {
+    await clearAttempts();
+  } catch {
+    historyUnavailable();
+    return;
+  }
+  refreshHistory();
+});
+
+// ── Practice sessions ──────────────────────────────────────────────────
+const SESSION_ADVANCE_MS = 2500; // time to read the scores before the next exercise
+const THUMB_SIZE = 140;
+
+const sessionMenu     = document.getElementById('sessionMenu');
+const sessionStatus   = document.getElementById('sessionStatus');
+const sessionProgress = document.getElementById('sessionProgress');
+const sessionPanel    = document.getElementById('sessionPanel');
+const sessionReport   = document.getElementById('sessionReport');
+const sessionList     = document.getElementById('sessionList');
+
+let session = null;        // PracticeSession while one is running
+let sessionTimer = null;   // ticks the status line
+let sessionAdvance = null; // pending move to the next exercise
+let storedReports = [];    // last listed, newest first
+
+const reportsItem = sessionMenu.querySelector('[data-action="reports"]');
+for (const plan of SESSION_PLANS) {
+  const item = document.createElement('button');
+  item.className = 'menu__item';
+  item.dataset.plan = plan.id;
+  item.textContent = plan.name;
+  reportsItem.before(item);
+}
+
+function startSession(plan) {
+  stopSession();
+  session = new PracticeSession(plan);
+  sessionStatus.hidden = false;
+  sessionTimer = setInterval(tickSession, 1000);
+  generate();
+  tickSession();
+}
+
+function stopSession() {
+  clearInterval(sessionTimer);
+  clearTimeout(sessionAdvance);
+  session = null;
+  sessionStatus.hidden = true;
+}
+
+// "Session: 3 / 10" or "Session: 4 done · 2:41 left"; ends timed sessions
+function tickSession() {
+  if (!session) return;
+  if (session.isOver()) {
+    finishSession();
+    return;
+  }
+  const left = session.timeLeft();
+  sessionProgress.textContent = left != null
+    ? `Session: ${session.attempts.length} done · ${formatDuration(left / 1000)} left`
+    : `Session: ${session.attempts.length + 1} / ${session.total}`;
+}
+
+// Called after every analysis; only the first one of a session exercise counts
+function recordSessionAttempt(scores) {
+  if (!session || !session.record({ exercise, scores, thumbnail: drawingThumbnail() })) return;
+  if (session.isOver()) {
+    finishSession();
+    return;
+  }
+  tickSession();
+  sessionAdvance = setTimeout(generate, SESSION_ADVANCE_MS);
+}
+
+async function finishSession() {
+  const report = session.report();
+  stopSession();
+  let saved = true;
+  if (report.count) {
+    try {
+      await saveSessionReport(report);
+    } catch {
+      saved = false;
+    }
+  }
+  await openSessionPanel(report);
+  if (!saved) {
+    sessionReport.prepend(elem('p', 'history-empty', 'This report couldn\'t be saved: history is unavailable in this browser.'));
+  }
+}
+
+// The drawing canvas as shown (strokes and analysis overlay), shrunk
+function drawingThumbnail() {
+  dc.flush();
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = THUMB_SIZE;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, THUMB_SIZE, THUMB_SIZE);
+  ctx.drawImage(drawCanvas, 0, 0, THUMB_SIZE, THUMB_SIZE);
+  return canvas.toDataURL('image/png');
+}
+
+function formatDuration(seconds) {
+  const s = Math.ceil(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function pct(score) {
+  return score == null ? '—' : `${score}%`;
+}
+
+// A table row of text cells; the last one coloured by `score`
+function reportRow(cells, score) {
+  const tr = elem('tr');
+  cells.forEach((text, i) => {
+    tr.appendChild(elem('td', i === cells.length - 1 ? `col-${scoreClass(score)}` : null, text));
+  });
+  return tr;
+}
+
+function renderSessionReport(report) {
+  if (!report.count) {
+    sessionReport.innerHTML = '<p class="history-empty">No exercises were finished.</p>';
+    return;
+  }
+  const heading = elem('p');
+  heading.append(elem('strong', null, report.planName), ` · ${new Date(report.startedAt).toLocaleString()}`);
+  const summary = elem('p', null, `${report.count} exercises in ${formatDuration(report.seconds)} · average `);
+  summary.appendChild(elem('strong', `col-${scoreClass(report.avgOverall)}`, `${report.avgOverall}%`));
+
+  const shapes = elem('table');
+  const head = elem('tr');
+  for (const th of ['Shape', 'n', 'Ratio', 'Size', 'Shape', 'Overall']) head.appendChild(elem('th', null, th));
+  shapes.appendChild(head);
+  for (const r of report.byShape) {
+    shapes.appendChild(reportRow([r.name, r.count, pct(r.ratio), pct(r.size), pct(r.shape), pct(r.overall)], r.overall));
+  }
+
+  const worst = elem('div', 'session-worst');
+  for (const w of report.worst) {
+    const figure = elem('figure');
+    if (w.thumbnail) {
+      const img = elem('img');
+      img.src = w.thumbnail;
+      img.alt = `Drawing for ${w.code}`;
+      figure.appendChild(img);
+    }
+    const caption = elem('figcaption');
+    caption.append(elem('span', `col-${scoreClass(w.overallScore)}`, `${w.overallScore}%`), ` ${w.code || w.shapeType}`);
+    figure.appendChild(caption);
+    worst.appendChild(figure);
+  }
+
+  const times = elem('table');
+  report.times.forEach((t, i) => {
+    times.appendChild(reportRow([`${i + 1}. ${t.code || t.shapeType}`, formatDuration(t.seconds), `${t.overallScore}%`], t.overallScore));
+  });
+
+  sessionReport.replaceChildren(heading, summary, elem('h3', null, 'By shape'), shapes,
+    elem('h3', null, 'Weakest attempts'), worst, elem('h3', null, 'Time per exercise'), times);
+}
+
+// Past reports, each with its change from the previous session of the same plan
+async function refreshSessionList() {
+  try {
+    storedReports = await listSessionReports();
+  } catch {
+    sessionList.innerHTML = '<p class="history-empty">Reports are unavailable in this browser.</p>';
+    return;
+  }
+  if (storedReports.length === 0) {
+    sessionList.innerHTML = '<p class="history-empty">No finished sessions yet.</p>';
+    return;
+  }
+  sessionList.innerHTML = '';
+  storedReports.forEach((r, i) => {
+    const previous = storedReports.slice(i + 1).find(p => p.plan === r.plan);
+    const change = previous ? r.avgOverall - previous.avgOverall : null;
+    let trend = null;
+    if (change != null) {
+      trend = elem('span', 'badge', `${change >= 0 ? '▲' : '▼'} ${Math.abs(change)}`);
+      trend.title = 'Change from the previous session of this plan';
+    }
+    const item = historyRow(r.id, r.planName, [
+      elem('span', 'badge', `${r.count} × · ${formatDuration(r.seconds)}`),
+      trend,
+    ], r.timestamp, r.avgOverall);
+    sessionList.appendChild(item);
+  });
+}
+
+// Show `report`, or the latest stored one
+async function openSessionPanel(report = null) {
+  toggleHistory(false);
+  sessionPanel.classList.add('is-open');
+  await refreshSessionList();
+  if (!report) report = storedReports[0];
+  if (report) renderSessionReport(report);
+  else sessionReport.innerHTML = '';
+}
+
+sessionMenu.addEventListener('click', e => {
+  const { plan, action } = e.target.dataset;
+  if (!plan && !action) return;
+  sessionMenu.open = false;
+  if (plan) startSession(getSessionPlan(plan));
+  if (action === 'reports') openSessionPanel();
+});
+document.getElementById('endSessionBtn').addEventListener('click', () => {
+  if (session) finishSession();
+});
+document.getElementById('closeSessionBtn').addEventListener('click', () => sessionPanel.classList.remove('is-open'));
+sessionList.addEventListener('click', e => {
+  const item = e.target.closest('.history-item');
+  const report = item && storedReports.find(r => r.id === Number(item.dataset.id));
+  if (report) renderSessionReport(report);
+});
+
+// ── Replay ─────────────────────────────────────────────────────────────
+const replayBar   = document.getElementById('replayBar');
+const replayPlay  = document.getElementById('replayPlayBtn');
+const replaySeek  = document.getElementById('replaySeek');
+const replaySpeed = document.getElementById('replaySpeed');
+const replayTime  = document.getElementById('replayTime');
+
+let replay = null;
+
+function startReplay() {
+  stopReplay();
+  if (dc.isEmpty()) return;
+  replay = new ReplayPlayer(dc, dc.getStrokes(), {
+    onTick(t, duration) {
+      replaySeek.value = t;
+      replayTime.textContent = `${(t / 1000).toFixed(1)} / ${(duration / 1000).toFixed(1)} s`;
+    },
+    onStateChange(playing) {
+      replayPlay.textContent = playing ? '⏸' : '▶';
+      replayPlay.title       = playing ? 'Pause' : 'Play';
+    },
+  });
+  replaySeek.max = replay.duration;
+  replay.setSpeed(Number(replaySpeed.value));
+  replayBar.hidden = false;
+  replay.play();
+}
+
+function stopReplay() {
+  if (!replay) return;
+  replay.stop();
+  replay = null;
+  replayBar.hidden = true;
+}
+
+document.getElementById('replayBtn').addEventListener('click', startReplay);
+document.getElementById('replayCloseBtn').addEventListener('click', stopReplay);
+replayPlay.addEventListener('click', () => replay && replay.toggle());
+replaySpeed.addEventListener('change', () => replay && replay.setSpeed(Number(replaySpeed.value)));
+replaySeek.addEventListener('input', () => {
+  if (!replay) return;
+  replay.pause();
+  replay.seek(Number(replaySeek.value));
+});
+
+// ── Export / import ────────────────────────────────────────────────────
+const fileMenu    = document.getElementById('fileMenu');
+const importInput = document.getElementById('importInput');
+
+function exportName(ext) {
+  return `drawing-${exercise.code || 'attempt'}.${ext}`;
+}
+
+function exportSvg() {
+  stopReplay();
+  const drawn = dc.isEmpty() ? null : dc.getBoundingBox();
+  const obb   = drawn && exercise.rotation ? measureOriented(dc.getInkPoints(), exercise.rotation) : null;
+  // Lines drawings keep the segments they were scored on while that analysis is shown
+  const fitted = lastOverlay && dc.hasOverlay() ? lastOverlay.fitted : null;
+  const svg = attemptToSvg(dc.getStrokes(), drawn ? ctx => drawAnalysisOverlay(ctx, drawn, obb, fitted) : null);
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), exportName('svg'));
+}
+
+function exportPng() {
+  stopReplay();
+  dc.flush();
+  drawCanvas.toBlob(blob => downloadBlob(blob, exportName('png')), 'image/png');
+}
+
+function exportJson() {
+  const json = attemptToJson({ exercise, strokes: dc.getStrokes() });
+  downloadBlob(new Blob([json], { type: 'application/json' }), exportName('json'));
+}
+
+async function importJson(file) {
+  let attempt;
+  try {
+    attempt = parseAttemptJson(await file.text());
+  } catch (err) {
+    alert(`Could not import ${file.name}: ${err.message}`);
+    return;
+  }
+  const previous = exercise, previousStrokes = dc.getStrokes();
+  try {
+    loadExercise(attempt.exercise);
+    dc.setStrokes(attempt.strokes);
+  } catch (err) {
+    // Put back what was there rather than leave a half-loaded exercise
+    if (previous) {
+      loadExercise(previous);
+      dc.setStrokes(previousStrokes);
+    }
+    alert(`Could not import ${file.name}: ${err.message}`);
+  }
+}
+
+fileMenu.addEventListener('click', e => {
+  const action = e.target.dataset.action;
+  if (!action) return;
+  fileMenu.open = false;
+  if (!exercise && action !== 'import') return; // a photo region is still being marked
+  if (action === 'svg')    exportSvg();
+  if (action === 'png')    exportPng();
+  if (action === 'json')   exportJson();
+  if (action === 'import') importInput.click();
+});
+
+importInput.addEventListener('change', () => {
+  const file = importInput.files[0];
+  importInput.value = '';
+  if (file) importJson(file);
+});
+
 // ── Tool switching ─────────────────────────────────────────────────────
 const penBtn    = document.getElementById('penBtn');
 const eraserBtn = document.getElementById('eraserBtn');
+const objectEraserBtn = document.getElementById('objectEraserBtn');
+const selectBtn = document.getElementById('selectBtn');
 const brushSlider = document.getElementById('brushSize');
+const stabilizerSelect = document.getElementById('stabilizerSelect');
 
 const TOOL_RANGE = {
   pen:    { min: 1,  max: 12 },
   eraser: { min: 2,  max: 60 },
+  'object-eraser': { min: 2, max: 60 },
 };
 
+// Which eraser E picks: the pixel eraser paints white, the object eraser
+// deletes and splits strokes.  Pressing E again switches between them.
+const LS_ERASER_KIND_KEY = 'dr-eraser-kind';
+let eraserKind = localStorage.getItem(LS_ERASER_KIND_KEY) === 'object-eraser' ? 'object-eraser' : 'eraser';
+
 function switchTool(mode) {
   dc.setMode(mode);
+  if (mode === 'eraser' || mode === 'object-eraser') {
+    eraserKind = mode;
+    localStorage.setItem(LS_ERASER_KIND_KEY, mode);
+  }
   penBtn.classList.toggle('is-active', mode === 'pen');
   eraserBtn.classList.toggle('is-active', mode === 'eraser');
+  objectEraserBtn.classList.toggle('is-active', mode === 'object-eraser');
+  selectBtn.classList.toggle('is-active', mode === 'select');
+  brushSlider.disabled = mode === 'select';
+  if (mode === 'select') return;
   const range = TOOL_RANGE[mode];
   brushSlider.min   = range.min;
   brushSlider.max   = range.max;
@@ -179,19 +1149,51 @@ function switchTool(mode) {
 
 penBtn.addEventListener('click',    () => switchTool('pen'));
 eraserBtn.addEventListener('click', () => switchTool('eraser'));
+objectEraserBtn.addEventListener('click', () => switchTool('object-eraser'));
+selectBtn.addEventListener('click', () => switchTool('select'));
 
 // ── Controls ───────────────────────────────────────────────────────────
 document.getElementById('generateBtn').addEventListener('click', generate);
 document.getElementById('revealBtn').addEventListener('click', revealRatio);
 document.getElementById('analyzeBtn').addEventListener('click', analyze);
 
+codeInput.addEventListener('keydown', e => {
+  if (e.key === 'Enter') { e.preventDefault(); loadFromCode(codeInput.value); }
+});
+codeInput.addEventListener('input', () => codeInput.classList.remove('is-invalid'));
+document.getElementById('loadCodeBtn').addEventListener('click', () => loadFromCode(codeInput.value));
+
+showRatioControls();
+difficultySelect.addEventListener('change', showRatioControls);
+for (const input of [customW, customH]) {
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter') { e.preventDefault(); generate(); }
+  });
+  input.addEventListener('input', () => input.classList.remove('is-invalid'));
+}
+
 brushSlider.addEventListener('input', e => {
   dc.setBrushSize(e.target.value);
 });
 
-document.getElementById('undoBtn').addEventListener('click', () => dc.undo());
+stabilizerSelect.value = dc.stabilizer;
+if (stabilizerSelect.selectedIndex < 0) stabilizerSelect.value = 'off';
+stabilizerSelect.addEventListener('change', () => dc.setStabilizer(stabilizerSelect.value));
+
+const analyzeRawToggle = document.getElementById('analyzeRawToggle');
+analyzeRawToggle.checked = dc.analyzeRaw;
+analyzeRawToggle.addEventListener('change', () => dc.setAnalyzeRaw(analyzeRawToggle.checked));
+
+document.getElementById('undoBtn').addEventListener('click', () => { stopReplay(); dc.undo(); });
+document.getElementById('redoBtn').addEventListener('click', () => { stopReplay(); dc.redo(); });
+
+overlayToggle.addEventListener('click', e => {
+  const btn = e.target.closest('[data-view]');
+  if (btn) setOverlayView(btn.dataset.view);
+});
 
 document.getElementById('clearBtn').addEventListener('click', () => {
+  stopReplay();
   dc.clear();
   resetScores();
 });
@@ -200,18 +1202,41 @@ document.getElementById('clearBtn').addEventListener('click', () => {
 document.addEventListener('keydown', e => {
   if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
 
-  if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-    e.preventDefault(); dc.undo();
+  // While marking a photo region, Enter accepts it and Escape cancels
+  if (picker && e.key === 'Enter') {
+    e.preventDefault();
+    if (picker.finish()) useRegion();
+    return;
+  }
+  if (picker && e.key === 'Escape') {
+    cancelPicking();
+    return;
+  }
+
+  if (replay && e.key === 'Escape') {
+    stopReplay();
+  } else if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.shiftKey && e.key.toLowerCase() === 'z'))) {
+    e.preventDefault(); stopReplay(); dc.redo();
+  } else if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
+    e.preventDefault(); stopReplay(); dc.undo();
+  } else if (e.key === 'Escape' && dc.deselect()) {
+    // first Escape only drops the selection
   } else if (e.key === 'Delete' || e.key === 'Escape') {
-    dc.clear(); resetScores();
+    stopReplay(); dc.clear(); resetScores();
   } else if (e.key === 'Enter') {
     e.preventDefault(); analyze();
   } else if (e.key === ' ') {
     e.preventDefault(); generate();
   } else if (e.key === 'e' || e.key === 'E') {
-    switchTool('eraser');
+    if (dc.mode === 'eraser')             switchTool('object-eraser');
+    else if (dc.mode === 'object-eraser') switchTool('eraser');
+    else                                  switchTool(eraserKind);
   } else if (e.key === 'p' || e.key === 'P') {
     switchTool('pen');
+  } else if (e.key === 's' || e.key === 'S') {
+    switchTool('select');
+  } else if (e.key === 'h' || e.key === 'H') {
+    setOverlayView(overlayView === 'heatmap' ? 'outline' : 'heatmap');
   }
 });
 
@@ -234,4 +1259,6 @@ document.addEventListener('fullscreenchange', () => {
 
 // ── Init ───────────────────────────────────────────────────────────────
 switchTool('pen'); // apply stored size + correct slider range
-generate();
+setOverlayView(overlayView);
+const sharedCode = new URLSearchParams(location.search).get('ex');
+if (!sharedCode || !loadFromCode(sharedCode)) generate();
@@ -0,0 +1,45 @@
+/**
+ * Worksheet codes in the paper checker (drawing-ratio.html): loads shape
+ * no. n of a printed worksheet (see worksheet.js) as the exercise to check,
+ * at its printed size so the copy is scored for size as well as ratio.
+ * The checker's own script is a classic one; it provides loadExercise().
+ */
+
+import { drawPath } from './shapes.js';
+import { worksheetFromCode } from './worksheet.js';
+
+function loadWorksheetShape() {
+  const code   = document.getElementById('sheetCodeInput').value;
+  const number = Number(document.getElementById('sheetNumberInput').value);
+  const sheet  = worksheetFromCode(code);
+  if (!sheet) {
+    alert('That isn\'t a worksheet code. It\'s printed at the top of the sheet, e.g. WSM8-1Z4K9Q.');
+    return;
+  }
+  const item = sheet.items[number - 1];
+  if (!item) {
+    alert(`Enter a shape number from 1 to ${sheet.count}.`);
+    return;
+  }
+
+  const { exercise, sizeMm } = item;
+  window.loadExercise({
+    shapeType: exercise.shapeType,
+    difficulty: exercise.difficulty,
+    ratio: { width: exercise.ratio.w, height: exercise.ratio.h, desc: `Worksheet ${sheet.code}, shape ${number}` },
+    sizeMm,
+    // Painted with the checker's fill and stroke, in its reference box
+    drawShape(ctx, x, y, w, h) {
+      drawPath(ctx, exercise, x, y, w, h);
+      ctx.fill();
+      ctx.stroke();
+    },
+  });
+}
+
+document.getElementById('loadSheetBtn').addEventListener('click', loadWorksheetShape);
+for (const id of ['sheetCodeInput', 'sheetNumberInput']) {
+  document.getElementById(id).addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') loadWorksheetShape();
+  });
+}
@@ -0,0 +1,228 @@
+/**
+ * Minimal vector PDF output for the printable worksheets.
+ *
+ * PdfContext is the PDF counterpart of the SvgContext in export.js: a
+ * recorder for the subset of CanvasRenderingContext2D the shape and
+ * worksheet painters use, so the same drawing code produces the preview
+ * SVG and the print-ready PDF.  Coordinates are millimetres with y down;
+ * text uses the standard Helvetica fonts, so nothing is embedded.
+ */
+
+const PT_PER_MM = 72 / 25.4;
+
+// Non-Latin-1 characters the painters use, in WinAnsiEncoding
+const WIN_ANSI = { '—': 0x97, '–': 0x96, '’': 0x92, '•': 0x95, '…': 0x85 };
+
+const LINE_CAPS  = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+function num(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(3).replace(/\.?0+$/, '');
+}
+
+// '#rgb', '#rrggbb', 'rgb()' / 'rgba()' (alpha blended onto white) or
+// 'white' / 'black' → PDF colour operands
+function colour(css) {
+  let r = 0, g = 0, b = 0, a = 1;
+  const s = String(css).trim().toLowerCase();
+  if (s === 'white') r = g = b = 255;
+  else if (s[0] === '#') {
+    const hex = s.length === 4 ? s.slice(1).split('').map(c => c + c).join('') : s.slice(1);
+    [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  } else {
+    const m = /rgba?\(([^)]*)\)/.exec(s);
+    if (m) [r, g, b, a = 1] = m[1].split(',').map(Number);
+  }
+  return [r, g, b].map(c => num((c * a + 255 * (1 - a)) / 255)).join(' ');
+}
+
+// PDF literal string in WinAnsiEncoding
+function pdfString(text) {
+  let out = '';
+  for (const ch of String(text)) {
+    const code = WIN_ANSI[ch] || (ch.charCodeAt(0) < 256 ? ch.charCodeAt(0) : 0x3F);
+    const c = String.fromCharCode(code);
+    out += c === '(' || c === ')' || c === '\\' ? '\\' + c : c;
+  }
+  return `(${out})`;
+}
+
+class PdfContext {
+  constructor() {
+    this.fillStyle   = 'black';
+    this.strokeStyle = 'black';
+    this.lineWidth   = 1;
+    this.lineCap     = 'butt';
+    this.lineJoin    = 'miter';
+    this.font        = '10px sans-serif';
+    this._dash  = [];
+    this._stack = [];
+    this._d     = [];
+    this._open  = false; // the path has a current point
+    this._out   = [];
+  }
+
+  save() {
+    const { fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font, _dash } = this;
+    this._stack.push({ fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font, _dash });
+  }
+
+  restore() {
+    const st = this._stack.pop();
+    if (st) Object.assign(this, st);
+  }
+
+  setLineDash(dash) { this._dash = dash.slice(); }
+  clearRect() {}
+
+  // ── Path building ────────────────────────────────────────────────
+
+  beginPath()  { this._d = []; this._open = false; }
+  closePath()  { this._d.push('h'); }
+
+  moveTo(x, y) {
+    this._d.push(`${num(x)} ${num(y)} m`);
+    this._open = true;
+    this._at = [x, y];
+  }
+
+  lineTo(x, y) {
+    if (!this._open) return this.moveTo(x, y);
+    this._d.push(`${num(x)} ${num(y)} l`);
+    this._at = [x, y];
+  }
+
+  bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+    if (!this._open) this.moveTo(c1x, c1y);
+    this._d.push(`${[c1x, c1y, c2x, c2y, x, y].map(num).join(' ')} c`);
+    this._at = [x, y];
+  }
+
+  // PDF has cubics only; a quadratic is the cubic with its control points
+  // two thirds of the way to the quadratic one
+  quadraticCurveTo(cx, cy, x, y) {
+    if (!this._open) this.moveTo(cx, cy);
+    const [x0, y0] = this._at;
+    this.bezierCurveTo(x0 + 2 / 3 * (cx - x0), y0 + 2 / 3 * (cy - y0),
+      x + 2 / 3 * (cx - x), y + 2 / 3 * (cy - y), x, y);
+  }
+
+  rect(x, y, w, h) {
+    this._d.push(`${num(x)} ${num(y)} ${num(w)} ${num(h)} re`);
+  }
+
+  arc(cx, cy, r, start, end) {
+    this.ellipse(cx, cy, r, r, 0, start, end);
+  }
+
+  // Split into arcs of at most 90°, each drawn as one cubic
+  ellipse(cx, cy, rx, ry, rotation, start, end) {
+    const cos = Math.cos(rotation), sin = Math.sin(rotation);
+    const at = t => {
+      const ex = rx * Math.cos(t), ey = ry * Math.sin(t);
+      return [cx + ex * cos - ey * sin, cy + ex * sin + ey * cos];
+    };
+    const slope = t => {
+      const dx = -rx * Math.sin(t), dy = ry * Math.cos(t);
+      return [dx * cos - dy * sin, dx * sin + dy * cos];
+    };
+    const [sx, sy] = at(start);
+    if (this._open) this.lineTo(sx, sy);
+    else this.moveTo(sx, sy);
+
+    const sweep = Math.max(-Math.PI * 2, Math.min(Math.PI * 2, end - start));
+    const n = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+    const step = sweep / n;
+    const k = 4 / 3 * Math.tan(step / 4);
+    for (let i = 0; i < n; i++) {
+      const a = start + step * i, b = a + step;
+      const [ax, ay] = at(a), [bx, by] = at(b);
+      const [dax, day] = slope(a), [dbx, dby] = slope(b);
+      this.bezierCurveTo(ax + k * dax, ay + k * day, bx - k * dbx, by - k * dby, bx, by);
+    }
+  }
+
+  // ── Painting ─────────────────────────────────────────────────────
+
+  fill() {
+    if (this._d.length) this._out.push(`${colour(this.fillStyle)} rg`, ...this._d, 'f');
+  }
+
+  stroke() {
+    if (this._d.length) this._out.push(this._strokeState(), ...this._d, 'S');
+  }
+
+  fillRect(x, y, w, h) {
+    this._out.push(`${colour(this.fillStyle)} rg`, `${num(x)} ${num(y)} ${num(w)} ${num(h)} re f`);
+  }
+
+  strokeRect(x, y, w, h) {
+    this._out.push(this._strokeState(), `${num(x)} ${num(y)} ${num(w)} ${num(h)} re S`);
+  }
+
+  // Left-aligned on the baseline, like the canvas defaults.  The text
+  // matrix flips y back so the glyphs aren't upside down.
+  fillText(text, x, y) {
+    const size = parseFloat((/([\d.]+)px/.exec(this.font) || [0, 10])[1]);
+    const font = /bold/.test(this.font) ? '/F2' : '/F1';
+    this._out.push(`${colour(this.fillStyle)} rg`,
+      `BT ${font} ${num(size)} Tf 1 0 0 -1 ${num(x)} ${num(y)} Tm ${pdfString(text)} Tj ET`);
+  }
+
+  _strokeState() {
+    return `${colour(this.strokeStyle)} RG ${num(this.lineWidth)} w `
+         + `${LINE_CAPS[this.lineCap] || 0} J ${LINE_JOINS[this.lineJoin] || 0} j `
+         + `[${this._dash.map(num).join(' ')}] 0 d`;
+  }
+
+  toString() {
+    return this._out.join('\n');
+  }
+}
+
+/**
+ * Paint each page with canvas-style calls and get a PDF document back.
+ * @param {Array<(ctx: PdfContext) => void>} pages
+ * @param {number} width  - page size in mm
+ * @param {number} height
+ * @returns {Blob}
+ */
+export function renderPdf(pages, width, height) {
+  const wPt = width * PT_PER_MM, hPt = height * PT_PER_MM;
+  // Objects 1–4 are fixed; each page adds a page object and its content
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+  ];
+  for (const [i, draw] of pages.entries()) {
+    const ctx = new PdfContext();
+    draw(ctx);
+    // mm with y down → points with y up
+    const scale   = PT_PER_MM.toFixed(6);
+    const content = `${scale} 0 0 -${scale} 0 ${num(hPt)} cm\n${ctx}`;
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(wPt)} ${num(hPt)}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    );
+  }
+
+  // Every character is one byte (see pdfString()), so string offsets are
+  // byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((obj, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    return at;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+       + offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')
+       + `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+  return new Blob([bytes], { type: 'application/pdf' });
+}
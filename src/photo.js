@@ -0,0 +1,268 @@
+/**
+ * Photo references: a local image shown in the reference canvas, with a
+ * subject region the user marks by dragging a rectangle or tracing a
+ * polygon.  The region becomes a 'region' exercise, so the usual analysis
+ * (ratio, size, shape overlap) runs against the real subject.
+ *
+ * Images are read straight from the chosen file and never leave the page.
+ */
+
+const CANVAS_RES  = 700;
+const MIN_REGION  = 10; // px — narrower regions are treated as a misclick
+const CLOSE_DIST  = 12; // px — clicking this close to the first vertex closes the polygon
+const REGION_DIM  = 'rgba(255, 255, 255, 0.6)';
+const REGION_LINE = '#4c5ebd';
+const RATIO_DECIMALS = 3; // photo-pixel sides can be fractions on small, scaled-up images
+
+/**
+ * Decode a user-chosen image file.
+ * @param {File} file
+ * @returns {Promise<{ name: string, bitmap: ImageBitmap }>}
+ * @throws {Error} when the file isn't a readable image
+ */
+export async function loadPhoto(file) {
+  try {
+    return { name: file.name, bitmap: await createImageBitmap(file) };
+  } catch {
+    throw new Error('Not an image this browser can read.');
+  }
+}
+
+/** Where the image sits when fitted (letterboxed) into the canvas. */
+export function fitPhoto(bitmap) {
+  const scale = Math.min(CANVAS_RES / bitmap.width, CANVAS_RES / bitmap.height);
+  const w = bitmap.width * scale, h = bitmap.height * scale;
+  return { x: (CANVAS_RES - w) / 2, y: (CANVAS_RES - h) / 2, w, h, scale };
+}
+
+/**
+ * Build a 'region' exercise from an outline traced on the fitted photo.
+ * `ratio` is in photo pixels; `bbox` pins the target where it was marked,
+ * so the size score compares against the subject as displayed.
+ * @param {{ name: string, bitmap: ImageBitmap }} photo
+ * @param {Array<{x, y}>} outline - canvas coordinates, at least 3 points
+ */
+export function createRegionExercise(photo, outline) {
+  const { scale } = fitPhoto(photo.bitmap);
+  const xs = outline.map(p => p.x), ys = outline.map(p => p.y);
+  const minX = Math.min(...xs), minY = Math.min(...ys);
+  const w = Math.max(...xs) - minX, h = Math.max(...ys) - minY;
+  return {
+    shapeType:  'region',
+    difficulty: 'photo',
+    seed:       null,
+    ratio:      { w: roundSide(w / scale), h: roundSide(h / scale) },
+    points:     outline.map(p => ({ x: (p.x - minX) / w, y: (p.y - minY) / h })),
+    bbox:       { x: minX, y: minY, w, h },
+    image:      { name: photo.name, width: photo.bitmap.width, height: photo.bitmap.height },
+    code:       null,
+  };
+}
+
+// To a few decimals, never 0: whole pixels would skew (or zero) small regions
+function roundSide(n) {
+  const k = 10 ** RATIO_DECIMALS;
+  return Math.max(1 / k, Math.round(n * k) / k);
+}
+
+/** True when `photo` is the image a region exercise was marked on. */
+export function isPhotoFor(photo, exercise) {
+  const img = exercise.image;
+  return !!(photo && img && img.name === photo.name &&
+            img.width === photo.bitmap.width && img.height === photo.bitmap.height);
+}
+
+/** The exercise's region outline back in canvas coordinates. */
+export function regionOutline(exercise) {
+  const { x, y, w, h } = exercise.bbox;
+  return exercise.points.map(p => ({ x: x + p.x * w, y: y + p.y * h }));
+}
+
+/**
+ * Paint the photo, dimming everything outside `outline`.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ImageBitmap} bitmap
+ * @param {Array<{x, y}>|null} outline
+ * @param {{ closed?: boolean }} [opts] - open outlines (a polygon being
+ *        traced) are drawn dashed, with their vertices, and nothing is dimmed
+ */
+export function renderPhoto(ctx, bitmap, outline, { closed = true } = {}) {
+  const fit = fitPhoto(bitmap);
+  ctx.clearRect(0, 0, CANVAS_RES, CANVAS_RES);
+  ctx.drawImage(bitmap, fit.x, fit.y, fit.w, fit.h);
+  if (!outline || outline.length < 2) return;
+
+  ctx.save();
+  if (closed) {
+    ctx.fillStyle = REGION_DIM;
+    ctx.beginPath();
+    ctx.rect(0, 0, CANVAS_RES, CANVAS_RES);
+    tracePath(ctx, outline, true);
+    ctx.fill('evenodd');
+  }
+  ctx.strokeStyle = REGION_LINE;
+  ctx.lineWidth   = 2;
+  if (!closed) ctx.setLineDash([6, 4]);
+  ctx.beginPath();
+  tracePath(ctx, outline, closed);
+  ctx.stroke();
+  if (!closed) {
+    ctx.fillStyle = REGION_LINE;
+    for (const p of outline) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  ctx.restore();
+}
+
+function tracePath(ctx, pts, closed) {
+  ctx.moveTo(pts[0].x, pts[0].y);
+  for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+  if (closed) ctx.closePath();
+}
+
+/**
+ * Lets the user mark the subject on a photo in the reference canvas.
+ *
+ *   rect    — drag a box
+ *   polygon — click vertices; click the first one, double-click or call
+ *             finish() to close the outline
+ *
+ * Starting again after a region is complete replaces it.
+ */
+export class RegionPicker {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {{ name: string, bitmap: ImageBitmap }} photo
+   * @param {{ onChange?: (complete: boolean) => void }} [callbacks]
+   */
+  constructor(canvas, photo, { onChange = () => {} } = {}) {
+    this.canvas  = canvas;
+    this.ctx     = canvas.getContext('2d');
+    this.photo   = photo;
+    this.mode    = 'rect';
+    this.points  = [];
+    this.complete = false;
+    this._cursor  = null; // rubber-band end while dragging / tracing
+    this._dragging = false;
+    this._onChange = onChange;
+
+    this._handlers = {
+      pointerdown: this._onDown.bind(this),
+      pointermove: this._onMove.bind(this),
+      pointerup:   this._onUp.bind(this),
+      dblclick:    () => this.finish(),
+    };
+    for (const [type, fn] of Object.entries(this._handlers)) canvas.addEventListener(type, fn);
+    canvas.classList.add('is-picking');
+    this._render();
+  }
+
+  /** @param {'rect'|'polygon'} mode */
+  setMode(mode) {
+    this.mode = mode;
+    this._reset();
+  }
+
+  /** Close a polygon being traced. @returns {boolean} whether a region is now complete */
+  finish() {
+    if (this.mode === 'polygon' && !this.complete && this.points.length >= 3 && bigEnough(this.points)) {
+      this.complete = true;
+      this._cursor  = null;
+      this._render();
+      this._onChange(true);
+    }
+    return this.complete;
+  }
+
+  /** The marked outline (canvas coordinates), or null while incomplete. */
+  region() {
+    return this.complete ? this.points.slice() : null;
+  }
+
+  /** Remove the picker's listeners; the canvas is left as drawn. */
+  destroy() {
+    for (const [type, fn] of Object.entries(this._handlers)) this.canvas.removeEventListener(type, fn);
+    this.canvas.classList.remove('is-picking');
+  }
+
+  _reset() {
+    this.points   = [];
+    this.complete = false;
+    this._cursor  = null;
+    this._render();
+    this._onChange(false);
+  }
+
+  _toCanvas(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * CANVAS_RES / rect.width,
+      y: (e.clientY - rect.top)  * CANVAS_RES / rect.height,
+    };
+  }
+
+  _onDown(e) {
+    e.preventDefault();
+    const pt = this._toCanvas(e);
+    if (this.complete) this._reset();
+
+    if (this.mode === 'rect') {
+      this.canvas.setPointerCapture(e.pointerId);
+      this._dragging = true;
+      this.points  = [pt];
+      this._cursor = pt;
+    } else {
+      const first = this.points[0];
+      const last  = this.points[this.points.length - 1];
+      if (first && this.points.length >= 3 && Math.hypot(pt.x - first.x, pt.y - first.y) <= CLOSE_DIST) {
+        this.finish();
+        return;
+      }
+      // The second click of a double-click lands on the vertex just added
+      if (!last || Math.hypot(pt.x - last.x, pt.y - last.y) > 3) this.points.push(pt);
+    }
+    this._render();
+  }
+
+  _onMove(e) {
+    if (this.complete || this.points.length === 0) return;
+    if (this.mode === 'rect' && !this._dragging) return;
+    this._cursor = this._toCanvas(e);
+    this._render();
+  }
+
+  _onUp(e) {
+    if (this.mode !== 'rect' || !this._dragging) return;
+    this._dragging = false;
+    const outline = rectOutline(this.points[0], this._toCanvas(e));
+    if (!bigEnough(outline)) {
+      this._reset();
+      return;
+    }
+    this.points   = outline;
+    this.complete = true;
+    this._cursor  = null;
+    this._render();
+    this._onChange(true);
+  }
+
+  _render() {
+    let outline = this.points;
+    if (!this.complete && this._cursor) {
+      outline = this.mode === 'rect' ? rectOutline(this.points[0], this._cursor) : [...this.points, this._cursor];
+    }
+    renderPhoto(this.ctx, this.photo.bitmap, outline, { closed: this.complete || this.mode === 'rect' });
+  }
+}
+
+function bigEnough(pts) {
+  const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+  return Math.max(...xs) - Math.min(...xs) >= MIN_REGION && Math.max(...ys) - Math.min(...ys) >= MIN_REGION;
+}
+
+function rectOutline(a, b) {
+  return [{ x: a.x, y: a.y }, { x: b.x, y: a.y }, { x: b.x, y: b.y }, { x: a.x, y: b.y }];
+}
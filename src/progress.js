@@ -0,0 +1,176 @@
+import '../styles/main.css';
+import '../styles/progress.css';
+import { listAttemptErrors } from './attempts.js';
+import {
+  collectSamples, groupErrors, errorSeries, findBiases, orientationOf, magnitudeOf, groupLabel, PAPER_LOG_KEY,
+} from './bias.js';
+
+// ── Chart settings ─────────────────────────────────────────────────────
+const CHART_W     = 900;
+const CHART_H     = 240;
+const CHART_PAD   = { left: 44, right: 12, top: 18, bottom: 36 };
+const CHART_RANGE = 0.3;  // ±30% fills the plot; larger errors are pinned to the edge
+const AVG_WINDOW  = 10;   // attempts in the moving average
+const ON_TARGET   = 0.03; // mean errors below 3% are shown as on target
+const ATTEMPT_LIMIT = 1000; // newest canvas attempts read, as many as the paper log keeps
+
+const sourceSelect = document.getElementById('sourceSelect');
+const periodSelect = document.getElementById('periodSelect');
+
+let allSamples = [];
+
+async function load() {
+  let attempts = [];
+  try {
+    attempts = await listAttemptErrors(ATTEMPT_LIMIT);
+  } catch {
+    // No IndexedDB: the paper log alone is still worth showing
+  }
+  let paperLog = [];
+  try {
+    paperLog = JSON.parse(localStorage.getItem(PAPER_LOG_KEY)) || [];
+  } catch { /* corrupted entry — ignore it */ }
+  allSamples = collectSamples(attempts, paperLog);
+  render();
+}
+
+function filtered() {
+  const source = sourceSelect.value;
+  const days   = Number(periodSelect.value);
+  const since  = days ? Date.now() - days * 86400000 : 0;
+  return allSamples.filter(s => (source === 'all' || s.source === source) && s.t >= since);
+}
+
+function render() {
+  const samples = filtered();
+  const sized   = samples.filter(s => s.sizeError != null).length;
+  document.getElementById('sampleSummary').textContent = samples.length
+    ? `${samples.length} attempts with a ratio score, ${sized} with a size score.`
+    : 'No attempts in this selection yet — analyse some drawings first.';
+
+  const biases = findBiases(samples);
+  const list = document.getElementById('biasList');
+  list.innerHTML = '';
+  for (const b of biases) {
+    const li = document.createElement('li');
+    li.textContent = `${b.text} `;
+    const n = document.createElement('span');
+    n.className = 'badge';
+    n.textContent = `${b.n} attempts`;
+    li.appendChild(n);
+    list.appendChild(li);
+  }
+  if (samples.length && !biases.length) {
+    list.innerHTML = '<li class="bias-list__none">No persistent bias stands out — errors go both ways.</li>';
+  }
+
+  drawErrorChart(document.getElementById('ratioChart'), errorSeries(samples, 'ratioError', AVG_WINDOW),
+    ['too wide', 'too narrow']);
+  drawErrorChart(document.getElementById('sizeChart'), errorSeries(samples, 'sizeError', AVG_WINDOW),
+    ['too large', 'too small']);
+
+  renderBreakdown('orientationTable', 'orientation', groupErrors(samples, s => orientationOf(s.ratio)));
+  renderBreakdown('magnitudeTable', 'magnitude', groupErrors(samples, s => magnitudeOf(s.ratio)));
+  renderBreakdown('shapeTable', 'shape', groupErrors(samples, s => s.shapeType));
+}
+
+// ── Charts ─────────────────────────────────────────────────────────────
+// One dot per attempt (evenly spaced, oldest left) and the moving average
+// as a line; `labels` name the positive and negative sides.
+function drawErrorChart(canvas, series, labels) {
+  canvas.width  = CHART_W;
+  canvas.height = CHART_H;
+  const ctx = canvas.getContext('2d');
+  const { left, right, top, bottom } = CHART_PAD;
+  const pw = CHART_W - left - right, ph = CHART_H - top - bottom;
+  const x = i => left + (series.length > 1 ? i / (series.length - 1) : 0.5) * pw;
+  const y = v => top + ph / 2 - Math.max(-1, Math.min(1, v / CHART_RANGE)) * ph / 2;
+
+  ctx.clearRect(0, 0, CHART_W, CHART_H);
+  ctx.font = '11px Segoe UI, system-ui, sans-serif';
+  ctx.textBaseline = 'middle';
+
+  // Grid every 10%, with the zero line stronger
+  for (let g = -CHART_RANGE; g <= CHART_RANGE + 1e-9; g += 0.1) {
+    ctx.strokeStyle = Math.abs(g) < 1e-9 ? '#94a3b8' : '#e2e5ef';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, y(g));
+    ctx.lineTo(CHART_W - right, y(g));
+    ctx.stroke();
+    ctx.fillStyle = '#64748b';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${g > 0 ? '+' : ''}${Math.round(g * 100)}%`, left - 6, y(g));
+  }
+  ctx.textAlign = 'left';
+  ctx.fillText(labels[0], left + 4, top - 8);
+  ctx.fillText(labels[1], left + 4, CHART_H - bottom + 10);
+
+  if (!series.length) {
+    ctx.textAlign = 'center';
+    ctx.fillText('No data yet', left + pw / 2, top + ph / 4);
+    return;
+  }
+
+  ctx.fillStyle = 'rgba(102, 126, 234, 0.35)';
+  series.forEach((p, i) => {
+    ctx.beginPath();
+    ctx.arc(x(i), y(p.value), 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  ctx.strokeStyle = '#764ba2';
+  ctx.lineWidth = 2;
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  series.forEach((p, i) => ctx.lineTo(x(i), y(p.mean)));
+  ctx.stroke();
+
+  ctx.fillStyle = '#64748b';
+  ctx.textAlign = 'left';
+  ctx.fillText(new Date(series[0].t).toLocaleDateString(), left, CHART_H - 8);
+  ctx.textAlign = 'right';
+  ctx.fillText(new Date(series[series.length - 1].t).toLocaleDateString(), CHART_W - right, CHART_H - 8);
+}
+
+// ── Breakdown tables ───────────────────────────────────────────────────
+function renderBreakdown(id, dimension, groups) {
+  const table = document.getElementById(id);
+  if (!groups.length) {
+    table.innerHTML = '<tr><td class="breakdown__none">No data</td></tr>';
+    return;
+  }
+  table.innerHTML = '<tr><th></th><th>n</th><th>Ratio</th><th>Size</th></tr>';
+  // Built from nodes: the labels fall back to raw keys from the store
+  for (const g of groups) {
+    const tr = document.createElement('tr');
+    for (const cell of [groupLabel(dimension, g.key), String(g.n),
+      describeMean(g.ratio, 'wide', 'narrow'), describeMean(g.size, 'large', 'small')]) {
+      const td = document.createElement('td');
+      td.append(cell);
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+}
+
+// "+8% wide" / "−12% narrow" / "on target"
+function describeMean(stats, over, under) {
+  const span = document.createElement('span');
+  if (!stats) {
+    span.className   = 'breakdown__none';
+    span.textContent = '—';
+  } else if (Math.abs(stats.mean) < ON_TARGET) {
+    span.className   = 'col-ex';
+    span.textContent = 'on target';
+  } else {
+    const pct = Math.round(Math.abs(stats.mean) * 100);
+    span.className   = Math.abs(stats.mean) < 0.1 ? 'col-ok' : 'col-poor';
+    span.textContent = `${stats.mean > 0 ? '+' : '−'}${pct}% ${stats.mean > 0 ? over : under}`;
+  }
+  return span;
+}
+
+sourceSelect.addEventListener('change', render);
+periodSelect.addEventListener('change', render);
+load();
@@ -0,0 +1,22 @@
+/**
+ * Small seeded PRNG so exercises can be regenerated from a code.
+ *
+ * mulberry32 — 32-bit state, fast, and plenty random for picking shapes.
+ * @param {number} seed - unsigned 32-bit integer
+ * @returns {() => number} function returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Pick a fresh random seed (unsigned 32-bit). */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,75 @@
+/**
+ * Named ratio sets: proportions artists actually meet, to drill instead of
+ * random whole numbers.  A preset exercise picks one ratio from its set.
+ *
+ * Exercise codes refer to a set by its position in RATIO_PRESETS, so the
+ * list is append-only (see exerciseCode() in shapes.js).
+ *
+ * @typedef {object} RatioPreset
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} flip - whether the ratio may also be drawn turned 90°
+ * @property {Array<{ label: string, w: number, h: number }>} ratios
+ */
+
+const PHI = 1.618;
+
+/** @type {RatioPreset[]} */
+export const RATIO_PRESETS = [
+  {
+    id: 'golden',
+    name: 'Golden ratio',
+    flip: true,
+    ratios: [
+      { label: 'φ : 1',  w: PHI,                  h: 1 },
+      { label: 'φ² : 1', w: Math.round(PHI * PHI * 1000) / 1000, h: 1 },
+    ],
+  },
+  {
+    id: 'paper',
+    name: 'Paper (√2, A-series)',
+    flip: true,
+    ratios: [
+      { label: '√2 : 1 (A4, A3…)', w: 1.414, h: 1 },
+      { label: 'Letter 11 : 8.5',  w: 11,    h: 8.5 },
+    ],
+  },
+  {
+    id: 'screens',
+    name: 'Screens',
+    flip: false,
+    ratios: [
+      { label: '16 : 9', w: 16, h: 9 },
+      { label: '4 : 3',  w: 4,  h: 3 },
+      { label: '21 : 9', w: 21, h: 9 },
+    ],
+  },
+  {
+    id: 'photo',
+    name: 'Photo frames',
+    flip: true,
+    ratios: [
+      { label: '3 : 2 (6×4)',  w: 3, h: 2 },
+      { label: '7 : 5 (7×5)',  w: 7, h: 5 },
+      { label: '5 : 4 (10×8)', w: 5, h: 4 },
+    ],
+  },
+  {
+    // Head height against full figure height: the box is one head wide and
+    // as many heads tall as the figure
+    id: 'figure',
+    name: 'Figure (heads tall)',
+    flip: false,
+    ratios: [
+      { label: 'Toddler, 4 heads', w: 1, h: 4 },
+      { label: 'Child, 6 heads',   w: 1, h: 6 },
+      { label: 'Adult, 7.5 heads', w: 1, h: 7.5 },
+      { label: 'Heroic, 8 heads',  w: 1, h: 8 },
+    ],
+  },
+];
+
+/** @returns {RatioPreset|undefined} */
+export function getPreset(id) {
+  return RATIO_PRESETS.find(p => p.id === id);
+}
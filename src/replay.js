@@ -0,0 +1,142 @@
+/**
+ * Stroke-by-stroke replay of a drawing, driven by the per-point timestamps
+ * DrawingCanvas records.  Drawings saved before timestamps existed are
+ * replayed at a steady pace instead.
+ */
+
+const MAX_GAP_MS      = 1000; // pauses between strokes are capped at this
+const FALLBACK_GAP_MS = 250;  // pause between untimed strokes
+const FALLBACK_DT_MS  = 8;    // time per point for untimed strokes
+
+/**
+ * Put every point of every stroke on one shared timeline starting at 0.
+ * @param {Array} strokes - from DrawingCanvas.getStrokes()
+ * @returns {{ times: number[][], duration: number }} times[i][j] is the
+ *          replay time (ms) at which point j of stroke i is drawn
+ */
+export function buildTimeline(strokes) {
+  const times = [];
+  let cursor  = 0;
+  let prevEnd = null; // recorded timestamp where the previous stroke ended
+
+  for (const stroke of strokes) {
+    const pts   = stroke.points;
+    const timed = pts.length > 0 && pts.every(p => typeof p.t === 'number');
+
+    if (times.length > 0) {
+      const gap = timed && prevEnd !== null ? pts[0].t - prevEnd : FALLBACK_GAP_MS;
+      cursor += Math.max(0, Math.min(MAX_GAP_MS, gap));
+    }
+
+    const start = cursor;
+    const t = timed
+      ? pts.map(p => start + Math.max(0, p.t - pts[0].t))
+      : pts.map((_, j) => start + j * FALLBACK_DT_MS);
+    times.push(t);
+
+    cursor  = t.length ? t[t.length - 1] : start;
+    prevEnd = timed ? pts[pts.length - 1].t : null;
+  }
+
+  return { times, duration: cursor };
+}
+
+/**
+ * The part of the drawing that exists at replay time `t`.
+ * @returns {Array} strokes, the last one possibly truncated
+ */
+export function strokesAt(strokes, times, t) {
+  const out = [];
+  for (let i = 0; i < strokes.length; i++) {
+    const ti = times[i];
+    if (ti.length === 0 || ti[0] > t) break;
+    let n = ti.length;
+    while (n > 0 && ti[n - 1] > t) n--;
+    out.push({ ...strokes[i], points: strokes[i].points.slice(0, n) });
+  }
+  return out;
+}
+
+/**
+ * Plays a drawing back onto a DrawingCanvas.
+ *
+ * The player owns the canvas' replay view while active; call stop() to
+ * hand the canvas back to normal drawing.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {import('./drawing.js').DrawingCanvas} dc
+   * @param {Array} strokes
+   * @param {{ onTick?: (t: number, duration: number) => void, onStateChange?: (playing: boolean) => void }} [callbacks]
+   */
+  constructor(dc, strokes, { onTick = () => {}, onStateChange = () => {} } = {}) {
+    this.dc       = dc;
+    this.strokes  = strokes;
+    const { times, duration } = buildTimeline(strokes);
+    this.times    = times;
+    this.duration = duration;
+    this.speed    = 1;
+    this.time     = 0;
+    this.playing  = false;
+    this._onTick        = onTick;
+    this._onStateChange = onStateChange;
+    this._rafId   = null;
+    this._lastNow = null;
+    this._render();
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.time >= this.duration) this.time = 0;
+    this.playing  = true;
+    this._lastNow = null;
+    this._rafId   = requestAnimationFrame(this._frame.bind(this));
+    this._onStateChange(true);
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+    this._onStateChange(false);
+  }
+
+  toggle() {
+    if (this.playing) this.pause(); else this.play();
+  }
+
+  /** Jump to replay time `t` (ms). */
+  seek(t) {
+    this.time = Math.max(0, Math.min(this.duration, t));
+    this._render();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /** End the replay and restore the canvas' real strokes. */
+  stop() {
+    this.pause();
+    this.dc.setReplayStrokes(null);
+  }
+
+  _frame(now) {
+    if (this._lastNow !== null) {
+      this.time = Math.min(this.duration, this.time + (now - this._lastNow) * this.speed);
+    }
+    this._lastNow = now;
+    this._render();
+    if (this.time >= this.duration) {
+      this.pause();
+      return;
+    }
+    this._rafId = requestAnimationFrame(this._frame.bind(this));
+  }
+
+  _render() {
+    this.dc.setReplayStrokes(strokesAt(this.strokes, this.times, this.time));
+    this._onTick(this.time, this.duration);
+  }
+}
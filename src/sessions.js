@@ -0,0 +1,168 @@
+/**
+ * Structured practice sessions.  A plan decides which shapes come up and
+ * when the session is over; every analysed exercise is recorded with its
+ * scores, the time it took and a thumbnail, and the end report summarises
+ * them per shape type.  Reports are stored with the attempt log (see
+ * saveSessionReport() in attempts.js) so sessions can be compared later.
+ *
+ * A report looks like:
+ *   { plan, planName, startedAt, endedAt, seconds, count, avgOverall,
+ *     byShape: [{ shapeType, name, count, ratio, size, shape, overall }],
+ *     worst:   [{ shapeType, code, overallScore, thumbnail }],
+ *     times:   [{ shapeType, code, seconds, overallScore }] }
+ * where ratio / size / shape are null for shapes without them (lines), and
+ * thumbnails are PNG data URLs.
+ */
+
+import { getShapeDef, shapeTypes } from './shape-registry.js';
+
+/**
+ * @typedef {object} SessionPlan
+ * @property {string} id
+ * @property {string} name
+ * @property {number} [count]   - ends after this many exercises
+ * @property {boolean} [mix]    - one exercise of every listed shape, shuffled
+ * @property {number} [minutes] - ends when the time is up
+ */
+
+/** @type {SessionPlan[]} */
+export const SESSION_PLANS = [
+  { id: 'ten',   name: '10 exercises',             count: 10 },
+  { id: 'mix',   name: 'Shape mix (one of each)',  mix: true },
+  { id: 'timed', name: 'Timed: 5 minutes',         minutes: 5 },
+];
+
+const WORST_SHOWN = 3;
+
+/** @returns {SessionPlan|undefined} */
+export function getSessionPlan(id) {
+  return SESSION_PLANS.find(p => p.id === id);
+}
+
+/**
+ * One running session.  The trainer asks it for each exercise's shape type,
+ * calls startExercise() when the exercise is shown and record() when it has
+ * been analysed, and checks isOver() to know when to show the report.
+ */
+export class PracticeSession {
+  /**
+   * @param {SessionPlan} plan
+   * @param {number} [now] - ms timestamp
+   */
+  constructor(plan, now = Date.now()) {
+    this.plan      = plan;
+    this.startedAt = now;
+    this.attempts  = [];
+    this._queue    = plan.mix ? shuffled(shapeTypes()) : null;
+    this._exerciseStart = null;
+  }
+
+  /** Exercises in the session, or null for timed sessions. */
+  get total() {
+    if (this._queue) return this._queue.length;
+    return this.plan.count || null;
+  }
+
+  /**
+   * Shape type of the next exercise: the plan's, or `fallback` (the type
+   * picked in the trainer) when the plan doesn't say.
+   */
+  nextShapeType(fallback) {
+    return this._queue ? this._queue[this.attempts.length] : fallback;
+  }
+
+  /** The next exercise is on screen; its time starts now. */
+  startExercise(now = Date.now()) {
+    this._exerciseStart = now;
+  }
+
+  /**
+   * Record the analysed exercise.  Analysing the same exercise again doesn't
+   * count twice.
+   * @param {{ exercise: object, scores: object, thumbnail?: string }} attempt
+   * @param {number} [now]
+   * @returns {boolean} whether it was recorded
+   */
+  record({ exercise, scores, thumbnail = null }, now = Date.now()) {
+    if (this._exerciseStart == null) return false;
+    this.attempts.push({
+      shapeType:    exercise.shapeType,
+      code:         exercise.code,
+      ratioScore:   scores.ratioScore,
+      sizeScore:    scores.sizeScore,
+      shapeScore:   scores.shapeScore,
+      overallScore: scores.overallScore,
+      seconds:      Math.round((now - this._exerciseStart) / 1000),
+      thumbnail,
+    });
+    this._exerciseStart = null;
+    return true;
+  }
+
+  /** Milliseconds left in a timed session, otherwise null. */
+  timeLeft(now = Date.now()) {
+    if (!this.plan.minutes) return null;
+    return Math.max(0, this.startedAt + this.plan.minutes * 60000 - now);
+  }
+
+  isOver(now = Date.now()) {
+    const left = this.timeLeft(now);
+    if (left != null) return left === 0;
+    return this.attempts.length >= this.total;
+  }
+
+  /**
+   * The end-of-session report (see the module comment).
+   * @param {number} [now]
+   */
+  report(now = Date.now()) {
+    const { attempts } = this;
+    const types = [...new Set(attempts.map(a => a.shapeType))];
+    const byShape = types.map(shapeType => {
+      const mine = attempts.filter(a => a.shapeType === shapeType);
+      const def  = getShapeDef(shapeType);
+      return {
+        shapeType,
+        name:    def ? def.name : shapeType,
+        count:   mine.length,
+        ratio:   mean(mine.map(a => a.ratioScore)),
+        size:    mean(mine.map(a => a.sizeScore)),
+        shape:   mean(mine.map(a => a.shapeScore)),
+        overall: mean(mine.map(a => a.overallScore)),
+      };
+    });
+    const worst = attempts
+      .slice()
+      .sort((a, b) => a.overallScore - b.overallScore)
+      .slice(0, WORST_SHOWN)
+      .map(({ shapeType, code, overallScore, thumbnail }) => ({ shapeType, code, overallScore, thumbnail }));
+
+    return {
+      plan:       this.plan.id,
+      planName:   this.plan.name,
+      startedAt:  this.startedAt,
+      endedAt:    now,
+      seconds:    Math.round((now - this.startedAt) / 1000),
+      count:      attempts.length,
+      avgOverall: mean(attempts.map(a => a.overallScore)),
+      byShape,
+      worst,
+      times:      attempts.map(({ shapeType, code, seconds, overallScore }) => ({ shapeType, code, seconds, overallScore })),
+    };
+  }
+}
+
+// Rounded mean of the scores that exist, or null when none do
+function mean(scores) {
+  const xs = scores.filter(s => s != null);
+  return xs.length ? Math.round(xs.reduce((s, x) => s + x, 0) / xs.length) : null;
+}
+
+function shuffled(items) {
+  const out = items.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
@@ -0,0 +1,489 @@
+/**
+ * Shape registry.
+ *
+ * Every shape type is one definition object; drawing, analysis, the shape
+ * dropdown and random shape picking all go through it, so adding a family
+ * means adding one registerShape() call here.
+ *
+ * Shapes are described in a unit box [0, 1]² that they touch on all four
+ * sides — the exercise ratio stretches that box, so the shape's bounding box
+ * always has exactly the target proportions.
+ *
+ * @typedef {object} ShapeDef
+ * @property {string} type  - id stored in exercises, e.g. 'ellipse'
+ * @property {string} name  - label for the shape dropdown
+ * @property {string} code  - letters used in exercise codes (unique)
+ * @property {(rand: () => number, ex: {shapeType, difficulty, ratio}) => object} [generate] -
+ *           extra seeded fields merged into the exercise (e.g. polygon points,
+ *           side count); `ex` is the exercise so far
+ * @property {(ctx, exercise: object, frame: ShapeFrame) => void} path -
+ *           add the closed outline to ctx's current path (no beginPath/fill)
+ * @property {Array<{ name: string, dir: 'up'|'down'|'left'|'right' }>} [landmarks] -
+ *           named extreme points checked by the contour feedback, e.g. the
+ *           apex is the shape's topmost point
+ * @property {boolean} [listed=true] - false keeps the type out of the shape
+ *           dropdown, random picks and exercise codes (e.g. photo regions)
+ * @property {boolean} [open=false] - the path is open lines to be stroked,
+ *           not an outline to fill; such exercises are scored by analyzeLines()
+ * @property {(ex: object) => boolean} [valid] - whether an exercise that
+ *           wasn't generated here (an imported file) has the fields path()
+ *           and the analysis need; shapes without extra fields leave it out
+ *
+ * @typedef {object} ShapeFrame
+ * @property {number} x, y, w, h - the untilted pixel box, in the shape's own
+ *                                orientation (a turned target swaps w and h)
+ * @property {number} cx, cy     - its centre (the rotation pivot)
+ * @property {number} rad        - rotation in radians, clockwise on screen
+ * @property {(u: number, v: number) => {x: number, y: number}} map -
+ *           unit-box coordinates → rotated canvas coordinates
+ */
+
+const defs = new Map();
+
+/** Add a shape type; later registrations replace earlier ones with the same type. */
+export function registerShape(def) {
+  for (const other of defs.values()) {
+    if (other.type !== def.type && other.code === def.code) {
+      throw new Error(`Shape code '${def.code}' is already used by '${other.type}'`);
+    }
+  }
+  defs.set(def.type, def);
+}
+
+/** @returns {ShapeDef|undefined} */
+export function getShapeDef(type) {
+  return defs.get(type);
+}
+
+/** @returns {ShapeDef[]} listed shapes, in registration order */
+export function shapeDefs() {
+  return [...defs.values()].filter(d => d.listed !== false);
+}
+
+/** @returns {string[]} every listed type (what 'random' picks from) */
+export function shapeTypes() {
+  return shapeDefs().map(d => d.type);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────
+
+const isNum = n => typeof n === 'number' && Number.isFinite(n);
+const isFraction = n => isNum(n) && n > 0 && n < 1;
+
+// At least `min` points with numeric coordinates
+function isPointList(pts, min) {
+  return Array.isArray(pts) && pts.length >= min && pts.every(p => p && isNum(p.x) && isNum(p.y));
+}
+
+function polygon(ctx, frame, pts) {
+  const m = pts.map(p => frame.map(p.x, p.y));
+  ctx.moveTo(m[0].x, m[0].y);
+  for (let i = 1; i < m.length; i++) ctx.lineTo(m[i].x, m[i].y);
+  ctx.closePath();
+}
+
+// Quadratic curves through the midpoints, using each point as the control point
+function roundedPolygon(ctx, frame, pts) {
+  const m  = pts.map(p => frame.map(p.x, p.y));
+  const lp = m[m.length - 1];
+  ctx.moveTo((lp.x + m[0].x) / 2, (lp.y + m[0].y) / 2);
+  for (let i = 0; i < m.length; i++) {
+    const cur = m[i];
+    const nxt = m[(i + 1) % m.length];
+    ctx.quadraticCurveTo(cur.x, cur.y, (cur.x + nxt.x) / 2, (cur.y + nxt.y) / 2);
+  }
+  ctx.closePath();
+}
+
+// Stretch a point list so its bounding box is exactly [0, 1]²
+function normalizeUnit(pts) {
+  const minX = Math.min(...pts.map(p => p.x));
+  const maxX = Math.max(...pts.map(p => p.x));
+  const minY = Math.min(...pts.map(p => p.y));
+  const maxY = Math.max(...pts.map(p => p.y));
+  const cxA = (minX + maxX) / 2;
+  const cyA = (minY + maxY) / 2;
+  const sw = maxX - minX || 1;
+  const sh = maxY - minY || 1;
+
+  return pts.map(p => ({
+    x: (p.x - cxA) / sw + 0.5,
+    y: (p.y - cyA) / sh + 0.5,
+  }));
+}
+
+// Points on a circle of radius 0.5 around (0.5, 0.5), angles in radians
+function circlePoints(from, to, steps, radius = 0.5, ox = 0.5) {
+  const pts = [];
+  for (let i = 0; i <= steps; i++) {
+    const a = from + (to - from) * i / steps;
+    pts.push({ x: ox + radius * Math.cos(a), y: 0.5 + radius * Math.sin(a) });
+  }
+  return pts;
+}
+
+function generateComplexPoints(perimeterPerEdge, rand) {
+  const pts = [];
+  for (let i = 0; i < perimeterPerEdge; i++) {
+    pts.push({ x: rand(), y: 0 });
+    pts.push({ x: 1, y: rand() });
+    pts.push({ x: rand(), y: 1 });
+    pts.push({ x: 0, y: rand() });
+  }
+  const numInterior = Math.floor(rand() * 7);
+  for (let i = 0; i < numInterior; i++) {
+    pts.push({ x: rand(), y: rand() });
+  }
+
+  // Sort by angle from center
+  pts.sort((a, b) =>
+    Math.atan2(a.y - 0.5, a.x - 0.5) - Math.atan2(b.y - 0.5, b.x - 0.5)
+  );
+
+  return normalizeUnit(pts);
+}
+
+const ARC_STEPS = 48;
+
+// ── Built-in shapes ────────────────────────────────────────────────────
+
+registerShape({
+  type: 'rectangle',
+  name: 'Rectangle',
+  code: 'R',
+  path(ctx, ex, f) {
+    polygon(ctx, f, [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }]);
+  },
+});
+
+registerShape({
+  type: 'ellipse',
+  name: 'Ellipse',
+  code: 'E',
+  path(ctx, ex, f) {
+    // Start a fresh subpath at the ellipse's own start point, so nothing
+    // joins it to an earlier outline (see composition)
+    ctx.moveTo(f.cx + Math.cos(f.rad) * f.w / 2, f.cy + Math.sin(f.rad) * f.w / 2);
+    ctx.ellipse(f.cx, f.cy, f.w / 2, f.h / 2, f.rad, 0, Math.PI * 2);
+  },
+});
+
+registerShape({
+  type: 'triangle',
+  name: 'Triangle',
+  code: 'T',
+  landmarks: [{ name: 'apex', dir: 'up' }],
+  path(ctx, ex, f) {
+    polygon(ctx, f, [{ x: 0.5, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }]);
+  },
+});
+
+registerShape({
+  type: 'complex',
+  name: 'Complex',
+  code: 'C',
+  generate: rand => ({ points: generateComplexPoints(1, rand) }),
+  valid: ex => isPointList(ex.points, 3),
+  path(ctx, ex, f) {
+    if (ex.points) polygon(ctx, f, ex.points);
+  },
+});
+
+registerShape({
+  type: 'complex-rounded',
+  name: 'Complex Rounded',
+  code: 'CR',
+  generate: rand => ({ points: generateComplexPoints(2, rand) }),
+  valid: ex => isPointList(ex.points, 3),
+  path(ctx, ex, f) {
+    if (ex.points) roundedPolygon(ctx, f, ex.points);
+  },
+});
+
+registerShape({
+  type: 'polygon',
+  name: 'Regular Polygon',
+  code: 'NG',
+  generate: rand => ({ sides: 5 + Math.floor(rand() * 4) }), // 5–8
+  valid: ex => Number.isInteger(ex.sides) && ex.sides >= 3 && ex.sides <= 64,
+  path(ctx, ex, f) {
+    const pts = [];
+    for (let i = 0; i < ex.sides; i++) {
+      const a = -Math.PI / 2 + i * 2 * Math.PI / ex.sides;
+      pts.push({ x: Math.cos(a), y: Math.sin(a) });
+    }
+    polygon(ctx, f, normalizeUnit(pts));
+  },
+});
+
+registerShape({
+  type: 'star',
+  name: 'Star',
+  code: 'ST',
+  generate: rand => ({
+    spikes: 4 + Math.floor(rand() * 4),                  // 4–7
+    inner:  Math.round((0.35 + rand() * 0.25) * 100) / 100, // inner / outer radius
+  }),
+  valid: ex => Number.isInteger(ex.spikes) && ex.spikes >= 2 && ex.spikes <= 64 && isFraction(ex.inner),
+  path(ctx, ex, f) {
+    const pts = [];
+    for (let i = 0; i < ex.spikes * 2; i++) {
+      const a = -Math.PI / 2 + i * Math.PI / ex.spikes;
+      const r = i % 2 ? ex.inner : 1;
+      pts.push({ x: r * Math.cos(a), y: r * Math.sin(a) });
+    }
+    polygon(ctx, f, normalizeUnit(pts));
+  },
+});
+
+registerShape({
+  type: 'crescent',
+  name: 'Crescent',
+  code: 'CS',
+  // Offset of the cut-away circle's centre, in outer diameters (bigger = thinner)
+  generate: rand => ({ offset: Math.round((0.3 + rand() * 0.4) * 100) / 100 }),
+  valid: ex => isFraction(ex.offset),
+  path(ctx, ex, f) {
+    // Outer circle minus an equal circle shifted right by `offset`; the two
+    // meet at ±acos(offset) on the outer circle.
+    const d = ex.offset;
+    const alpha = Math.acos(d);
+    const outer = circlePoints(alpha, 2 * Math.PI - alpha, ARC_STEPS);
+    const inner = circlePoints(Math.PI + alpha, Math.PI - alpha, ARC_STEPS, 0.5, 0.5 + d);
+    polygon(ctx, f, normalizeUnit(outer.concat(inner.slice(1, -1))));
+  },
+});
+
+registerShape({
+  type: 'arc',
+  name: 'Arc',
+  code: 'AR',
+  generate: rand => ({
+    sweep: 150 + Math.round(rand() * 12) * 10,              // 150°–270°, opening downwards
+    inner: Math.round((0.5 + rand() * 0.3) * 100) / 100,    // inner / outer radius
+  }),
+  valid: ex => isNum(ex.sweep) && ex.sweep > 0 && ex.sweep < 360 && isFraction(ex.inner),
+  path(ctx, ex, f) {
+    const half  = ex.sweep / 2 * Math.PI / 180;
+    const outer = circlePoints(-Math.PI / 2 - half, -Math.PI / 2 + half, ARC_STEPS);
+    const inner = circlePoints(-Math.PI / 2 + half, -Math.PI / 2 - half, ARC_STEPS, 0.5 * ex.inner);
+    polygon(ctx, f, normalizeUnit(outer.concat(inner)));
+  },
+});
+
+// Block letters.  `arm` is the arm thickness as a fraction of the shape's
+// shorter side, so arms keep their proportions however the box is stretched.
+function blockArms(ex, f) {
+  const t = ex.arm * Math.min(f.w, f.h);
+  return { ax: t / f.w, ay: t / f.h };
+}
+
+const generateArm = rand => ({ arm: Math.round((0.2 + rand() * 0.2) * 100) / 100 }); // 0.2–0.4
+const validArm    = ex => isNum(ex.arm) && ex.arm > 0 && ex.arm < 0.5;
+
+registerShape({
+  type: 'block-l',
+  name: 'L Block',
+  code: 'BL',
+  generate: generateArm,
+  valid: validArm,
+  path(ctx, ex, f) {
+    const { ax, ay } = blockArms(ex, f);
+    polygon(ctx, f, [
+      { x: 0, y: 0 }, { x: ax, y: 0 }, { x: ax, y: 1 - ay },
+      { x: 1, y: 1 - ay }, { x: 1, y: 1 }, { x: 0, y: 1 },
+    ]);
+  },
+});
+
+registerShape({
+  type: 'block-t',
+  name: 'T Block',
+  code: 'BT',
+  generate: generateArm,
+  valid: validArm,
+  path(ctx, ex, f) {
+    const { ax, ay } = blockArms(ex, f);
+    const l = 0.5 - ax / 2, r = 0.5 + ax / 2;
+    polygon(ctx, f, [
+      { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: ay }, { x: r, y: ay },
+      { x: r, y: 1 }, { x: l, y: 1 }, { x: l, y: ay }, { x: 0, y: ay },
+    ]);
+  },
+});
+
+registerShape({
+  type: 'block-u',
+  name: 'U Block',
+  code: 'BU',
+  generate: generateArm,
+  valid: validArm,
+  path(ctx, ex, f) {
+    const { ax, ay } = blockArms(ex, f);
+    polygon(ctx, f, [
+      { x: 0, y: 0 }, { x: ax, y: 0 }, { x: ax, y: 1 - ay }, { x: 1 - ax, y: 1 - ay },
+      { x: 1 - ax, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 },
+    ]);
+  },
+});
+
+// Compositions: two or three shapes side by side (a row for landscape
+// ratios, a column for portrait ones) with seeded sizes, gaps and a shared
+// alignment.  Each part's `box` is its place in the unit box; the parts
+// touch all four sides between them.  The layout is in real proportions, so
+// it's built for the exercise ratio and part ratios come out as drawn.
+const PART_ALIGNS = ['start', 'center', 'end'];
+
+// Parts are picked from this list by position: append-only (see
+// exerciseCode() in shapes.js).
+const PART_TYPES = [
+  'rectangle', 'ellipse', 'triangle', 'complex', 'complex-rounded', 'polygon', 'star',
+  'crescent', 'arc', 'block-l', 'block-t', 'block-u',
+];
+
+function generateComposition(rand, ex) {
+  const arrange = ex.ratio.w >= ex.ratio.h ? 'row' : 'column';
+  const count   = rand() < 0.5 ? 2 : 3;
+  const align   = PART_ALIGNS[Math.floor(rand() * PART_ALIGNS.length)];
+
+  // Along the arrangement axis: part lengths and the gaps between them
+  const lengths = [], gaps = [], cross = [];
+  for (let i = 0; i < count; i++) lengths.push(0.5 + rand());
+  for (let i = 1; i < count; i++) gaps.push(0.15 + rand() * 0.45);
+  for (let i = 0; i < count; i++) cross.push(0.35 + rand() * 0.65);
+  const total    = lengths.reduce((a, b) => a + b, 0) + gaps.reduce((a, b) => a + b, 0);
+  const crossMax = Math.max(...cross);
+
+  const parts = [];
+  let at = 0;
+  for (let i = 0; i < count; i++) {
+    const len = lengths[i] / total;
+    const cr  = cross[i] / crossMax; // the tallest part spans the box
+    const off = align === 'start' ? 0 : align === 'end' ? 1 - cr : (1 - cr) / 2;
+    const box = arrange === 'row'
+      ? { x: at, y: off, w: len, h: cr }
+      : { x: off, y: at, w: cr, h: len };
+    const shapeType = PART_TYPES[Math.floor(rand() * PART_TYPES.length)];
+    const def = getShapeDef(shapeType);
+    parts.push({
+      shapeType,
+      box,
+      ...(def.generate ? def.generate(rand, { ...ex, shapeType }) : {}),
+    });
+    at += len + (i < count - 1 ? gaps[i] / total : 0);
+  }
+  return { arrange, align, parts };
+}
+
+function validComposition(ex) {
+  return Array.isArray(ex.parts) && ex.parts.length > 0 && ex.parts.every(part => {
+    if (!part || !PART_TYPES.includes(part.shapeType)) return false;
+    const { box } = part;
+    if (!box || ![box.x, box.y, box.w, box.h].every(isNum) || !(box.w > 0) || !(box.h > 0)) return false;
+    const def = getShapeDef(part.shapeType);
+    return !def.valid || def.valid(part);
+  });
+}
+
+registerShape({
+  type: 'composition',
+  name: 'Composition (2–3 shapes)',
+  code: 'CP',
+  generate: generateComposition,
+  valid: validComposition,
+  path(ctx, ex, f) {
+    for (const part of ex.parts || []) {
+      const { x, y, w, h } = part.box;
+      const c = f.map(x + w / 2, y + h / 2);
+      const pw = w * f.w, ph = h * f.h;
+      getShapeDef(part.shapeType).path(ctx, part, {
+        x: c.x - pw / 2, y: c.y - ph / 2, w: pw, h: ph, cx: c.x, cy: c.y, rad: f.rad,
+        map: (u, v) => f.map(x + u * w, y + v * h),
+      });
+    }
+  },
+});
+
+// Lines and angles: open polylines to copy by slope rather than by ratio.
+// Always drawn in a square box so angles aren't distorted; the lines are
+// scaled to fit it, not stretched to touch every side.
+//   easy   — one segment, at a multiple of 15°
+//   medium — an open angle (two arms from one vertex), in 5° steps
+//   hard   — an angle or a three-segment zigzag, to the degree
+const LINE_MARGIN = 0.05;
+
+function generateLines(rand, { difficulty }) {
+  const step  = difficulty === 'easy' ? 15 : difficulty === 'hard' ? 1 : 5;
+  const angle = (from, to) => from + Math.floor(rand() * ((to - from) / step + 1)) * step;
+  const rad   = deg => deg * Math.PI / 180;
+  const toward = (p, deg, len) => ({ x: p.x + len * Math.cos(rad(deg)), y: p.y - len * Math.sin(rad(deg)) });
+
+  let kind, pts;
+  if (difficulty === 'easy') {
+    // Anything but flat or upright, which need no measuring
+    let a;
+    do { a = angle(15, 165); } while (a === 90);
+    kind = 'segment';
+    pts  = [{ x: 0, y: 0 }, toward({ x: 0, y: 0 }, a, 1)];
+  } else if (difficulty !== 'hard' || rand() < 0.5) {
+    const opening = angle(20, 160);
+    const start   = angle(0, 355);
+    const vertex  = { x: 0, y: 0 };
+    kind = 'angle';
+    pts  = [toward(vertex, start, 0.6 + rand() * 0.4), vertex, toward(vertex, start + opening, 0.6 + rand() * 0.4)];
+  } else {
+    // Turns of 30°–120° alternating sides, so the zigzag never crosses itself
+    kind = 'zigzag';
+    let dir  = angle(0, 355);
+    let side = rand() < 0.5 ? -1 : 1;
+    pts = [{ x: 0, y: 0 }];
+    for (let i = 0; i < 3; i++) {
+      pts.push(toward(pts[i], dir, 0.5 + rand() * 0.5));
+      dir  += side * angle(30, 120);
+      side  = -side;
+    }
+  }
+
+  // Fit into the unit box with one scale, centred
+  const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+  const minX = Math.min(...xs), minY = Math.min(...ys);
+  const bw = Math.max(...xs) - minX, bh = Math.max(...ys) - minY;
+  const scale = (1 - 2 * LINE_MARGIN) / Math.max(bw, bh);
+  const ox = (1 - bw * scale) / 2, oy = (1 - bh * scale) / 2;
+  return {
+    ratio: { w: 1, h: 1 },
+    kind,
+    lines: [pts.map(p => ({ x: ox + (p.x - minX) * scale, y: oy + (p.y - minY) * scale }))],
+  };
+}
+
+registerShape({
+  type: 'lines',
+  name: 'Lines & Angles',
+  code: 'LN',
+  open: true,
+  generate: generateLines,
+  valid: ex => typeof ex.kind === 'string' && Array.isArray(ex.lines) && ex.lines.length > 0 &&
+               ex.lines.every(line => isPointList(line, 2)),
+  path(ctx, ex, f) {
+    for (const line of ex.lines || []) {
+      const m = line.map(p => f.map(p.x, p.y));
+      ctx.moveTo(m[0].x, m[0].y);
+      for (let i = 1; i < m.length; i++) ctx.lineTo(m[i].x, m[i].y);
+    }
+  },
+});
+
+// A subject traced on a photo (see photo.js).  `points` is the outline in
+// the unit box; the exercise is built from the user's region, never generated.
+registerShape({
+  type: 'region',
+  name: 'Photo region',
+  code: 'PH',
+  listed: false,
+  valid: ex => isPointList(ex.points, 3) && !!ex.bbox &&
+               [ex.bbox.x, ex.bbox.y, ex.bbox.w, ex.bbox.h].every(isNum) && ex.bbox.w > 0 && ex.bbox.h > 0,
+  path(ctx, ex, f) {
+    if (ex.points) polygon(ctx, f, ex.points);
+  },
+});
@@ -1,128 +1,465 @@
+import { createRng, randomSeed } from './random.js';
+import { getShapeDef, shapeTypes } from './shape-registry.js';
+import { RATIO_PRESETS, getPreset } from './ratio-presets.js';
+import { GRID_SPACING } from './drawing.js';
+
 const CANVAS_RES = 700;
 const FILL_RATIO = 0.82; // how much of the canvas the shape fills
 
-const ALL_TYPES = ['rectangle', 'ellipse', 'triangle', 'complex', 'complex-rounded'];
+// Difficulty letters used in exercise codes (shape letters come from the registry)
+const DIFFICULTY_CODES = { easy: 'E', medium: 'M', hard: 'H', custom: 'X' };
+
+// Ratio buckets by elongation (long side ÷ short side) and orientation.
+// Used by the adaptive difficulty to target ratios the user gets wrong.
+export const RATIO_BUCKETS = ['square', 'mild-landscape', 'mild-portrait', 'extreme-landscape', 'extreme-portrait'];
+const MILD_FROM    = 1.25;
+const EXTREME_FROM = 2.5;
+
+// Custom ratios are kept to this precision and elongation
+const CUSTOM_DECIMALS = 3;
+export const MAX_CUSTOM_ELONGATION = 20;
+
+// Scaled copies: factors picked for 'factor', and the range (canvas px, in
+// grid steps) of the long side for an exact 'size'
+export const SCALE_FACTORS = [0.5, 0.75, 1.25, 1.5, 2];
+const MIN_SIZE = 100;
+
+// Transformation drills: draw the reference mirrored or turned a quarter turn.
+// Codes carry them as flags.
+export const TRANSFORMS = ['mirror-h', 'mirror-v', 'turn-cw', 'turn-ccw'];
+const TRANSFORM_FLAGS = { 'mirror-h': 'MH', 'mirror-v': 'MV', 'turn-cw': 'TC', 'turn-ccw': 'TA' };
+
+// Placement drills put the reference anywhere on its canvas, at this share
+// of the usual size
+const PLACE_MIN_SIZE = 0.4;
+const PLACE_MAX_SIZE = 0.75;
+
+// Tilted exercises are rotated by MIN_TILT–MAX_TILT degrees either way
+const MIN_TILT = 10;
+const MAX_TILT = 75;
 
 export function randomShapeType() {
-  return ALL_TYPES[Math.floor(Math.random() * ALL_TYPES.length)];
+  const types = shapeTypes();
+  return types[Math.floor(Math.random() * types.length)];
 }
 
-export function generateRatio(difficulty) {
+export function generateRatio(difficulty, rand = Math.random) {
   let w, h;
   if (difficulty === 'easy') {
-    w = Math.floor(Math.random() * 4) + 1;
-    h = Math.floor(Math.random() * 4) + 1;
+    w = Math.floor(rand() * 4) + 1;
+    h = Math.floor(rand() * 4) + 1;
   } else if (difficulty === 'medium') {
-    w = Math.floor(Math.random() * 10) + 1;
-    h = Math.floor(Math.random() * 10) + 1;
+    w = Math.floor(rand() * 10) + 1;
+    h = Math.floor(rand() * 10) + 1;
   } else {
-    if (Math.random() > 0.5) {
-      w = Math.floor(Math.random() * 20) + 1;
-      h = Math.floor(Math.random() * 20) + 1;
+    if (rand() > 0.5) {
+      w = Math.floor(rand() * 20) + 1;
+      h = Math.floor(rand() * 20) + 1;
     } else {
-      w = parseFloat((Math.random() * 15 + 1).toFixed(1));
-      h = parseFloat((Math.random() * 15 + 1).toFixed(1));
+      w = parseFloat((rand() * 15 + 1).toFixed(1));
+      h = parseFloat((rand() * 15 + 1).toFixed(1));
     }
   }
   return { w: parseFloat(w), h: parseFloat(h) };
 }
 
-function generateComplexPoints(perimeterPerEdge) {
-  const pts = [];
-  for (let i = 0; i < perimeterPerEdge; i++) {
-    pts.push({ x: Math.random(), y: 0 });
-    pts.push({ x: 1, y: Math.random() });
-    pts.push({ x: Math.random(), y: 1 });
-    pts.push({ x: 0, y: Math.random() });
-  }
-  const numInterior = Math.floor(Math.random() * 7);
-  for (let i = 0; i < numInterior; i++) {
-    pts.push({ x: Math.random(), y: Math.random() });
-  }
+/**
+ * Which ratio bucket a ratio falls in.
+ * @param {{ w: number, h: number }} ratio
+ * @returns {string} one of RATIO_BUCKETS
+ */
+export function ratioBucket({ w, h }) {
+  const elongation = Math.max(w, h) / Math.min(w, h);
+  if (elongation < MILD_FROM) return 'square';
+  const magnitude = elongation < EXTREME_FROM ? 'mild' : 'extreme';
+  return `${magnitude}-${w > h ? 'landscape' : 'portrait'}`;
+}
 
-  // Sort by angle from center
-  pts.sort((a, b) =>
-    Math.atan2(a.y - 0.5, a.x - 0.5) - Math.atan2(b.y - 0.5, b.x - 0.5)
-  );
+// Whole-number ratios (1–20), rejection-sampled until one lands in the bucket
+function generateBucketRatio(bucket, rand) {
+  for (;;) {
+    const w = Math.floor(rand() * 20) + 1;
+    const h = Math.floor(rand() * 20) + 1;
+    if (ratioBucket({ w, h }) === bucket) return { w, h };
+  }
+}
 
-  // Normalize to exactly [0, 1] bounding box
-  let minX = Math.min(...pts.map(p => p.x));
-  let maxX = Math.max(...pts.map(p => p.x));
-  let minY = Math.min(...pts.map(p => p.y));
-  let maxY = Math.max(...pts.map(p => p.y));
-  const cxA = (minX + maxX) / 2;
-  const cyA = (minY + maxY) / 2;
-  const sw = maxX - minX || 1;
-  const sh = maxY - minY || 1;
+/**
+ * Tidy a user-entered ratio for a 'custom' exercise.
+ * @returns {{ w: number, h: number } | null} null unless both sides are
+ *          positive and neither is more than MAX_CUSTOM_ELONGATION × the other
+ */
+export function normalizeCustomRatio(w, h) {
+  const k = 10 ** CUSTOM_DECIMALS;
+  w = Math.round(Number(w) * k) / k;
+  h = Math.round(Number(h) * k) / k;
+  if (!(w > 0) || !(h > 0) || Math.max(w / h, h / w) > MAX_CUSTOM_ELONGATION) return null;
+  return { w, h };
+}
 
-  return pts.map(p => ({
-    x: (p.x - cxA) / sw + 0.5,
-    y: (p.y - cyA) / sh + 0.5,
-  }));
+// One ratio from a preset set, turned 90° half the time when the set allows it
+function generatePresetRatio(preset, rand) {
+  const pick = preset.ratios[Math.floor(rand() * preset.ratios.length)];
+  const turned = preset.flip && rand() < 0.5;
+  return {
+    ratio: turned ? { w: pick.h, h: pick.w } : { w: pick.w, h: pick.h },
+    ratioLabel: `${preset.name}: ${pick.label}`,
+  };
 }
 
 /**
  * Create a new exercise.
+ *
+ * The ratio and polygon points are drawn from a PRNG seeded with `seed`, so
+ * the same (shapeType, difficulty, seed) triple always yields the same
+ * exercise.  A 'random' type is resolved first and recorded in the code.
  * @param {string} shapeType - shape type or 'random'
- * @param {string} difficulty - 'easy' | 'medium' | 'hard'
- * @returns {{ shapeType: string, ratio: {w: number, h: number}, points: Array|null }}
+ * @param {string} difficulty - 'easy' | 'medium' | 'hard' | 'adaptive' | 'custom' | 'preset'
+ * @param {number} [seed] - unsigned 32-bit seed; a fresh one is picked if omitted
+ * @param {{ bucket?: string, ratio?: {w, h}, preset?: string, rotate?: boolean,
+ *           scale?: number|'factor'|'size'|{width: number}|{height: number},
+ *           transform?: string, place?: boolean }} [opts]
+ *        `bucket` (one of RATIO_BUCKETS) is required for 'adaptive' and picks
+ *        the ratio family to draw from; `ratio` is required for 'custom' (see
+ *        normalizeCustomRatio()); `preset` (a RATIO_PRESETS id) is required for
+ *        'preset'; `rotate` tilts the shape by a seeded angle; `scale` asks for
+ *        a scaled copy — a factor, an exact long side in canvas px, or
+ *        'factor' / 'size' for a seeded one of either; `transform` (one of
+ *        TRANSFORMS, or 'random' for a seeded one) asks for the copy mirrored
+ *        or turned; `place` puts the shape at a seeded position and size,
+ *        to be copied in the same place
+ * @returns {{ shapeType: string, difficulty: string, seed: number, code: string,
+ *             ratio: {w: number, h: number}, points: Array|null, bucket?: string,
+ *             preset?: string, ratioLabel?: string, rotation?: number,
+ *             scale?: {factor: number}|{width: number}|{height: number},
+ *             transform?: string, place?: {x: number, y: number, size: number} }} plus
+ *          whatever fields the shape's generator adds; rotation is in degrees,
+ *          clockwise on screen
  */
-export function createExercise(shapeType, difficulty) {
+export function createExercise(shapeType, difficulty, seed = randomSeed(), opts = {}) {
   if (shapeType === 'random') shapeType = randomShapeType();
-  const ratio = generateRatio(difficulty);
-  let points = null;
-  if (shapeType === 'complex' || shapeType === 'complex-rounded') {
-    points = generateComplexPoints(shapeType === 'complex-rounded' ? 2 : 1);
+  const rand = createRng(seed);
+  let ratio, ratioLabel;
+  if (difficulty === 'adaptive') {
+    ratio = generateBucketRatio(opts.bucket, rand);
+  } else if (difficulty === 'custom') {
+    const { w, h } = opts.ratio || {};
+    ratio = normalizeCustomRatio(w, h);
+    if (!ratio) throw new Error('Custom ratio sides must be positive and within 1:' + MAX_CUSTOM_ELONGATION);
+  } else if (difficulty === 'preset') {
+    const preset = getPreset(opts.preset);
+    if (!preset) throw new Error(`Unknown ratio preset '${opts.preset}'`);
+    ({ ratio, ratioLabel } = generatePresetRatio(preset, rand));
+  } else {
+    ratio = generateRatio(difficulty, rand);
+  }
+  const def = getShapeDef(shapeType);
+  const extra = def.generate ? def.generate(rand, { shapeType, difficulty, ratio }) : {};
+  const ex = { shapeType, difficulty, seed, ratio, points: null, ...extra };
+  if (difficulty === 'adaptive') ex.bucket = opts.bucket;
+  if (difficulty === 'preset') {
+    ex.preset = opts.preset;
+    ex.ratioLabel = ratioLabel;
+  }
+  if (opts.rotate) {
+    // Drawn last so the untilted shape is the same as without `rotate`
+    const tilt = Math.round(MIN_TILT + rand() * (MAX_TILT - MIN_TILT));
+    ex.rotation = rand() < 0.5 ? -tilt : tilt;
+  }
+  if (opts.place) {
+    // x / y place the shape across the room it leaves on the canvas (see
+    // shapeBBox()).  Drawn before the options that codes record by value,
+    // which skip the PRNG when loaded from a code
+    ex.place = {
+      x:    rand(),
+      y:    rand(),
+      size: PLACE_MIN_SIZE + rand() * (PLACE_MAX_SIZE - PLACE_MIN_SIZE),
+    };
+  }
+  if (opts.transform) {
+    ex.transform = opts.transform === 'random'
+      ? TRANSFORMS[Math.floor(rand() * TRANSFORMS.length)]
+      : opts.transform;
+  }
+  // Lines are scored by slope alone, so they're never scaled
+  if (opts.scale && opts.scale !== 1 && !def.open) ex.scale = generateScale(opts.scale, ex, rand);
+  ex.code = exerciseCode(ex);
+  return ex;
+}
+
+// The `scale` field of a scaled-copy exercise.  Exact sizes are for the long
+// side of the copy (turned, for turn drills), in grid steps, and leave room
+// for the tilted shape on the canvas.
+function generateScale(scale, { ratio: shown, rotation = 0, transform }, rand) {
+  if (typeof scale === 'number') return { factor: scale };
+  if (typeof scale === 'object') return { ...scale };
+  if (scale === 'factor') return { factor: SCALE_FACTORS[Math.floor(rand() * SCALE_FACTORS.length)] };
+
+  const ratio = isTurn(transform) ? { w: shown.h, h: shown.w } : shown;
+  const ext  = rotatedExtent(ratio.w, ratio.h, rotation);
+  const long = Math.max(ratio.w, ratio.h) * CANVAS_RES * FILL_RATIO / Math.max(ext.w, ext.h);
+  const steps = Math.max(0, Math.floor((long - MIN_SIZE) / GRID_SPACING) - 2); // not ~1:1
+  const size = MIN_SIZE + Math.floor(rand() * (steps + 1)) * GRID_SPACING;
+  return ratio.w >= ratio.h ? { width: size } : { height: size };
+}
+
+/**
+ * What a scaled-copy exercise asks for, given the box it's a copy of.
+ * Exact sizes refer to the untilted shape, like the ratio.
+ * @param {object} exercise
+ * @param {{ w: number, h: number }} refBBox - the reference box, or for
+ *        transformation drills the transformed one (see orientBBox())
+ * @returns {{ factor: number, label: string } | null} null for a 1:1 copy;
+ *          `factor` multiplies the reference size
+ */
+export function copyScale(exercise, refBBox) {
+  const s = exercise.scale;
+  if (!s) return null;
+  if (s.factor) return { factor: s.factor, label: `${s.factor}×` };
+  if (s.width)  return { factor: s.width / refBBox.w, label: `${s.width} px wide` };
+  return { factor: s.height / refBBox.h, label: `${s.height} px tall` };
+}
+
+/**
+ * Build the short, shareable code for an exercise, e.g. `CRM-1Z4K9Q`.
+ * The first part is the shape tag followed by the difficulty letter,
+ * the second is the seed in base 36.  Adaptive exercises use `A` plus the
+ * index of their ratio bucket as the difficulty, e.g. `EA3-1Z4K9Q`; preset
+ * exercises use `P` plus the index of their set in RATIO_PRESETS, e.g.
+ * `RP2-1Z4K9Q`.  Custom ratios use `X` and carry the ratio as a flag, e.g.
+ * `RX-1Z4K9Q-1.5X1`.  Other options follow as extra flags: `-R` for a
+ * tilted shape, `-S1.5` for a scaled copy, `-W300` / `-H300` for an
+ * exact width / height, and `-MH` / `-MV` (mirrored horizontally /
+ * vertically) or `-TC` / `-TA` (turned clockwise / anticlockwise) for a
+ * transformation drill; `-L` places the shape off-centre.
+ *
+ * Codes only stay valid while the same seed generates the same exercise.
+ * Lists that generation or codes index by position — RATIO_BUCKETS,
+ * RATIO_PRESETS, composition part types and worksheet shapes — are
+ * therefore append-only: new entries go at the end, and nothing is
+ * reordered or removed.
+ * @param {{ shapeType: string, difficulty: string, seed: number, bucket?: string,
+ *           preset?: string, ratio?: {w, h}, rotation?: number, scale?: object,
+ *           transform?: string, place?: object }} ex
+ */
+export function exerciseCode({ shapeType, difficulty, seed, bucket, preset, ratio, rotation, scale, transform, place }) {
+  let diff = DIFFICULTY_CODES[difficulty];
+  if (difficulty === 'adaptive') diff = 'A' + RATIO_BUCKETS.indexOf(bucket);
+  if (difficulty === 'preset')   diff = 'P' + RATIO_PRESETS.findIndex(p => p.id === preset);
+  let code = `${getShapeDef(shapeType).code}${diff}-${(seed >>> 0).toString(36).toUpperCase()}`;
+  if (difficulty === 'custom') code += `-${ratio.w}X${ratio.h}`;
+  if (rotation) code += '-R';
+  if (transform) code += `-${TRANSFORM_FLAGS[transform]}`;
+  if (scale) {
+    code += scale.factor ? `-S${scale.factor}` : scale.width ? `-W${scale.width}` : `-H${scale.height}`;
+  }
+  if (place) code += '-L';
+  return code;
+}
+
+/**
+ * Parse an exercise code back into its parts.
+ * @param {string} code
+ * @returns {{ shapeType: string, difficulty: string, seed: number, opts: object } | null}
+ *          `opts` is suitable for createExercise(); null when the code is malformed
+ */
+export function parseExerciseCode(code) {
+  const [head, seedPart, ...flags] = String(code).trim().toUpperCase().split('-');
+  const m = /^([A-Z]+)([EMHX]|[AP]\d+)$/.exec(head);
+  if (!m || !/^[0-9A-Z]{1,7}$/.test(seedPart || '')) return null;
+  const shapeType = shapeTypes().find(t => getShapeDef(t).code === m[1]);
+  const seed      = parseInt(seedPart, 36);
+  if (!shapeType || seed > 0xFFFFFFFF) return null;
+
+  const opts = {};
+  for (const flag of flags) {
+    const ratio = /^(\d+(?:\.\d+)?)X(\d+(?:\.\d+)?)$/.exec(flag);
+    const scale = /^([SWH])(\d+(?:\.\d+)?)$/.exec(flag);
+    const transform = TRANSFORMS.find(t => TRANSFORM_FLAGS[t] === flag);
+    if (flag === 'R') opts.rotate = true;
+    else if (flag === 'L') opts.place = true;
+    else if (transform) opts.transform = transform;
+    else if (ratio && m[2] === 'X') opts.ratio = normalizeCustomRatio(ratio[1], ratio[2]);
+    else if (scale && Number(scale[2]) > 0) {
+      const n = Number(scale[2]);
+      opts.scale = scale[1] === 'S' ? n : scale[1] === 'W' ? { width: n } : { height: n };
+    } else return null;
+  }
+
+  if (m[2][0] === 'A') {
+    opts.bucket = RATIO_BUCKETS[Number(m[2].slice(1))];
+    if (!opts.bucket) return null;
+    return { shapeType, difficulty: 'adaptive', seed, opts };
   }
-  return { shapeType, ratio, points };
+  if (m[2][0] === 'P') {
+    const preset = RATIO_PRESETS[Number(m[2].slice(1))];
+    if (!preset) return null;
+    opts.preset = preset.id;
+    return { shapeType, difficulty: 'preset', seed, opts };
+  }
+  if (m[2] === 'X' && !opts.ratio) return null;
+  const difficulty = Object.keys(DIFFICULTY_CODES).find(d => DIFFICULTY_CODES[d] === m[2]);
+  return { shapeType, difficulty, seed, opts };
+}
+
+/**
+ * Recreate the exact exercise a code was generated from.
+ * @param {string} code
+ * @returns {object|null} exercise, or null when the code is malformed
+ */
+export function exerciseFromCode(code) {
+  const parsed = parseExerciseCode(code);
+  if (!parsed) return null;
+  return createExercise(parsed.shapeType, parsed.difficulty, parsed.seed, parsed.opts);
+}
+
+/**
+ * Check an exercise that wasn't made by createExercise() (e.g. read from an
+ * imported file) before anything draws or scores it: the common fields, a
+ * code that matches the shape, and the shape's own fields (ShapeDef.valid).
+ * @param {object} exercise
+ * @returns {boolean}
+ */
+export function isValidExercise(exercise) {
+  if (!exercise || typeof exercise !== 'object') return false;
+  const { shapeType, ratio, code, kind, rotation, transform, place, scale } = exercise;
+  const def = getShapeDef(shapeType);
+  const isNum = n => typeof n === 'number' && Number.isFinite(n);
+  if (!def || !ratio || !(isNum(ratio.w) && ratio.w > 0) || !(isNum(ratio.h) && ratio.h > 0)) return false;
+  // The code is shown in the history, so it must be one we could have made
+  if (code != null) {
+    const parsed = parseExerciseCode(code);
+    if (!parsed || parsed.shapeType !== shapeType) return false;
+  }
+  if (kind != null && typeof kind !== 'string') return false;
+  if (rotation != null && !isNum(rotation)) return false;
+  if (transform != null && !TRANSFORMS.includes(transform)) return false;
+  if (place != null && !(isNum(place.x) && isNum(place.y) && isNum(place.size) && place.size > 0)) return false;
+  if (scale != null && ![scale.factor, scale.width, scale.height].some(n => isNum(n) && n > 0)) return false;
+  return !def.valid || def.valid(exercise);
+}
+
+/**
+ * Axis-aligned extent of a w × h box rotated by `rotation` degrees.
+ * @returns {{ w: number, h: number }}
+ */
+export function rotatedExtent(w, h, rotation = 0) {
+  const rad = rotation * Math.PI / 180;
+  const c = Math.abs(Math.cos(rad)), s = Math.abs(Math.sin(rad));
+  return { w: w * c + h * s, h: w * s + h * c };
 }
 
 /**
  * Compute the pixel bounding box for an exercise on a CANVAS_RES × CANVAS_RES canvas.
- * @param {{ ratio: {w,h} }} exercise
+ * For tilted exercises this is the box of the shape *before* rotation (the
+ * shape is rotated about its centre), sized so the tilted shape still fits.
+ * References for enlarged copies are shrunk so the copy fits too.  Placed
+ * exercises are smaller and off-centre, with room left for the copy (tilted
+ * or turned) at the same centre.  An `orient`ed exercise (see
+ * targetExercise()) gets the transformed box.
+ * @param {{ ratio: {w,h}, rotation?: number }} exercise
  * @returns {{ x: number, y: number, w: number, h: number }}
  */
 export function shapeBBox(exercise) {
-  const { ratio } = exercise;
-  const maxSize = CANVAS_RES * FILL_RATIO;
-  const scale = maxSize / Math.max(ratio.w, ratio.h);
+  if (exercise.orient) return orientBBox(shapeBBox({ ...exercise, orient: null }), exercise.orient);
+  if (exercise.bbox) return { ...exercise.bbox }; // placed by the user (photo regions)
+  const { ratio, rotation = 0 } = exercise;
+  // Leave room to draw an enlarged copy at its full size
+  const enlarge = Math.max(1, (exercise.scale && exercise.scale.factor) || 1);
+  const maxSize = CANVAS_RES * FILL_RATIO / enlarge * (exercise.place ? exercise.place.size : 1);
+  const ext = rotatedExtent(ratio.w, ratio.h, rotation);
+  const scale = maxSize / Math.max(ext.w, ext.h);
   const w = ratio.w * scale;
   const h = ratio.h * scale;
-  const x = (CANVAS_RES - w) / 2;
-  const y = (CANVAS_RES - h) / 2;
-  return { x, y, w, h };
+  if (!exercise.place) return { x: (CANVAS_RES - w) / 2, y: (CANVAS_RES - h) / 2, w, h };
+
+  // The reference or its copy, whichever is bigger, turned either way
+  const copy   = copyScale(exercise, orientBBox({ x: 0, y: 0, w, h }, exercise.transform));
+  const span   = Math.max(ext.w, ext.h) * scale * Math.max(1, copy ? copy.factor : 1);
+  const margin = CANVAS_RES * (1 - FILL_RATIO) / 2;
+  const room   = Math.max(0, CANVAS_RES - 2 * margin - span);
+  const cx = margin + span / 2 + exercise.place.x * room;
+  const cy = margin + span / 2 + exercise.place.y * room;
+  return { x: cx - w / 2, y: cy - h / 2, w, h };
 }
 
-function drawPath(ctx, exercise, x, y, w, h) {
-  const { shapeType, points } = exercise;
-  ctx.beginPath();
-  if (shapeType === 'rectangle') {
-    ctx.rect(x, y, w, h);
-  } else if (shapeType === 'ellipse') {
-    ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
-  } else if (shapeType === 'triangle') {
-    ctx.moveTo(x + w / 2, y);
-    ctx.lineTo(x + w, y + h);
-    ctx.lineTo(x, y + h);
-    ctx.closePath();
-  } else if ((shapeType === 'complex' || shapeType === 'complex-rounded') && points) {
-    const mapped = points.map(p => ({ x: x + p.x * w, y: y + p.y * h }));
-    if (shapeType === 'complex-rounded') {
-      const lp = mapped[mapped.length - 1];
-      ctx.moveTo((lp.x + mapped[0].x) / 2, (lp.y + mapped[0].y) / 2);
-      for (let i = 0; i < mapped.length; i++) {
-        const cur = mapped[i];
-        const nxt = mapped[(i + 1) % mapped.length];
-        ctx.quadraticCurveTo(cur.x, cur.y, (cur.x + nxt.x) / 2, (cur.y + nxt.y) / 2);
-      }
-    } else {
-      ctx.moveTo(mapped[0].x, mapped[0].y);
-      for (let i = 1; i < mapped.length; i++) ctx.lineTo(mapped[i].x, mapped[i].y);
-    }
-    ctx.closePath();
+// ── Transformation drills ──────────────────────────────────────────────
+
+function isTurn(transform) {
+  return transform === 'turn-cw' || transform === 'turn-ccw';
+}
+
+/**
+ * The shape a transformation drill asks the user to draw: the exercise with
+ * `orient` set, which drawPath() and shapeBBox() apply.  A mirror also flips
+ * the tilt; a turn carries it round with the shape.  Other exercises are
+ * returned as they are.
+ * @param {object} exercise
+ * @returns {object}
+ */
+export function targetExercise(exercise) {
+  const { transform, rotation } = exercise;
+  if (!transform) return exercise;
+  if (isTurn(transform) || !rotation) return { ...exercise, orient: transform };
+  return { ...exercise, orient: transform, rotation: -rotation };
+}
+
+/**
+ * Where a point of the shape's unit box ends up after `orient`.
+ * @param {number} u
+ * @param {number} v
+ * @param {string} [orient] - one of TRANSFORMS
+ * @returns {{ x: number, y: number }}
+ */
+export function orientPoint(u, v, orient) {
+  switch (orient) {
+    case 'mirror-h': return { x: 1 - u, y: v };
+    case 'mirror-v': return { x: u, y: 1 - v };
+    case 'turn-cw':  return { x: 1 - v, y: u };
+    case 'turn-ccw': return { x: v, y: 1 - u };
+    default:         return { x: u, y: v };
   }
 }
 
+/**
+ * A box after `orient`: turns swap its sides about the same centre, mirrors
+ * leave it as it is.
+ * @param {{ x, y, w, h }} bb
+ * @param {string} [orient]
+ */
+export function orientBBox(bb, orient) {
+  if (!isTurn(orient)) return { ...bb };
+  return { x: bb.x + (bb.w - bb.h) / 2, y: bb.y + (bb.h - bb.w) / 2, w: bb.h, h: bb.w };
+}
+
+/**
+ * Start a new path on ctx holding the exercise's outline (not yet filled or stroked).
+ * (x, y, w, h) is the untilted box; exercise.rotation turns the shape about
+ * its centre.  Shared by every renderer, including the offscreen analysis.
+ * For an `orient`ed exercise the box is the transformed one; shapes still
+ * see a frame in their own orientation, mapped through the transform.
+ */
+export function drawPath(ctx, exercise, x, y, w, h) {
+  const { shapeType, rotation = 0, orient } = exercise;
+  const cx = x + w / 2, cy = y + h / 2;
+  const rad = rotation * Math.PI / 180;
+  const cos = Math.cos(rad), sin = Math.sin(rad);
+  const turn = orient === 'turn-cw' ? Math.PI / 2 : orient === 'turn-ccw' ? -Math.PI / 2 : 0;
+  const sw = turn ? h : w, sh = turn ? w : h; // the box in the shape's own orientation
+  const frame = {
+    x: cx - sw / 2, y: cy - sh / 2, w: sw, h: sh, cx, cy, rad: rad + turn,
+    map(u, v) {
+      const o  = orientPoint(u, v, orient);
+      const px = x + o.x * w - cx, py = y + o.y * h - cy;
+      return { x: cx + px * cos - py * sin, y: cy + px * sin + py * cos };
+    },
+  };
+
+  ctx.beginPath();
+  const def = getShapeDef(shapeType);
+  if (def) def.path(ctx, exercise, frame);
+}
+
 /**
  * Render the reference shape (filled) onto ctx.
  * @param {CanvasRenderingContext2D} ctx
@@ -136,6 +473,15 @@ export function renderShape(ctx, exercise) {
   ctx.strokeStyle = '#4c5ebd';
   ctx.lineWidth = 2;
   drawPath(ctx, exercise, bb.x, bb.y, bb.w, bb.h);
+  if (isOpenShape(exercise)) {
+    ctx.save();
+    ctx.lineWidth = 5;
+    ctx.lineCap   = 'round';
+    ctx.lineJoin  = 'round';
+    ctx.stroke();
+    ctx.restore();
+    return bb;
+  }
   ctx.fill();
   ctx.stroke();
   return bb;
@@ -172,7 +518,13 @@ export function renderShapeOutline(ctx, exercise, x, y, w, h, strokeColor = '#66
   ctx.setLineDash([6, 4]);
   ctx.lineCap = 'round';
   drawPath(ctx, exercise, x, y, w, h);
-  ctx.fill();
+  if (!isOpenShape(exercise)) ctx.fill();
   ctx.stroke();
   ctx.restore();
 }
+
+/** True for exercises made of open lines (stroked, scored by analyzeLines()). */
+export function isOpenShape(exercise) {
+  const def = getShapeDef(exercise.shapeType);
+  return !!(def && def.open);
+}
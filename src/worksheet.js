@@ -0,0 +1,294 @@
+/**
+ * Printable worksheets for practising on paper without a screen: N
+ * reference shapes, each beside an empty box to copy it into, laid out on
+ * A4 or Letter pages and followed by an answer key.
+ *
+ * A worksheet is fully determined by its code, e.g. `WSM8-1Z4K9Q` (medium,
+ * 8 shapes, seed in base 36) or `WSM8-1Z4K9Q-E` (ellipses only), so the
+ * paper checker can load shape no. n of a printed sheet from the code
+ * alone.  Every shape is an ordinary exercise (createExercise()) printed at
+ * a seeded physical size; mixed sheets pick from worksheetShapeTypes().
+ *
+ * Pages are painted through a canvas-style context in millimetres, so
+ * renderSvg() (export.js) and renderPdf() (pdf.js) print the same layout.
+ */
+
+import { createExercise, drawPath } from './shapes.js';
+import { getShapeDef } from './shape-registry.js';
+import { createRng, randomSeed } from './random.js';
+
+/** Page sizes in mm. */
+export const PAPER_SIZES = {
+  a4:     { name: 'A4',     w: 210,   h: 297 },
+  letter: { name: 'Letter', w: 215.9, h: 279.4 },
+};
+
+export const MAX_WORKSHEET_SHAPES = 48;
+
+// Same letters as exercise codes
+const DIFFICULTY_CODES = { easy: 'E', medium: 'M', hard: 'H' };
+
+// Printed long side of each reference, mm
+const SIZE_MIN = 22;
+const SIZE_MAX = 38;
+
+// Layout, mm
+const MARGIN    = 12;
+const HEADER_H  = 22;
+const CELL      = 42;  // the reference cell, and the drawing box beside it
+const CELL_GAP  = 4;
+const PAIR_GAP  = 10;
+const LABEL_H   = 6;
+const ROW_GAP   = 6;
+const KEY_ROW_H = 7;
+const KEY_COLUMNS = [
+  { title: 'No.',           x: 0 },
+  { title: 'Shape',         x: 12 },
+  { title: 'Ratio W : H',   x: 60 },
+  { title: 'W ÷ H',         x: 92 },
+  { title: 'Printed size',  x: 112 },
+  { title: 'Exercise code', x: 148 },
+];
+
+const FONT       = 'Helvetica, Arial, sans-serif';
+const INK        = '#1a1a2e';
+const MUTED      = '#64748b';
+const RULE       = '#94a3b8';
+const SHAPE_FILL = '#c7d0f5';
+
+/**
+ * @typedef {object} WorksheetItem
+ * @property {number} number   - 1-based, as printed
+ * @property {object} exercise - from createExercise()
+ * @property {{ width: number, height: number }} sizeMm - printed size
+ */
+
+// Closed shapes only: lines aren't measured by their box.  Mixed sheets
+// pick from this list by position, so it's append-only like the lists
+// behind exercise codes (see exerciseCode() in shapes.js).
+const WORKSHEET_SHAPES = [
+  'rectangle', 'ellipse', 'triangle', 'complex', 'complex-rounded', 'polygon', 'star',
+  'crescent', 'arc', 'block-l', 'block-t', 'block-u', 'composition',
+];
+
+/** Shape types worksheets use, in code order. */
+export function worksheetShapeTypes() {
+  return WORKSHEET_SHAPES.slice();
+}
+
+/**
+ * Create a worksheet.
+ * @param {{ difficulty: 'easy'|'medium'|'hard', count: number, shapeType?: string, seed?: number }} opts
+ *        shapeType is one of worksheetShapeTypes(), or 'random' for a mix
+ * @returns {{ code: string, difficulty: string, count: number, shapeType: string,
+ *             seed: number, items: WorksheetItem[] }}
+ */
+export function createWorksheet({ difficulty, count, shapeType = 'random', seed = randomSeed() }) {
+  if (!DIFFICULTY_CODES[difficulty]) throw new Error(`Worksheets can't use '${difficulty}' difficulty`);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_WORKSHEET_SHAPES) {
+    throw new Error(`A worksheet has 1–${MAX_WORKSHEET_SHAPES} shapes`);
+  }
+  const types = shapeType === 'random' ? worksheetShapeTypes() : [shapeType];
+  if (!worksheetShapeTypes().includes(types[0])) throw new Error(`Unknown worksheet shape '${shapeType}'`);
+
+  const rand  = createRng(seed);
+  const items = [];
+  for (let number = 1; number <= count; number++) {
+    const type     = types[Math.floor(rand() * types.length)];
+    const exSeed   = Math.floor(rand() * 4294967296) >>> 0;
+    const long     = SIZE_MIN + Math.floor(rand() * (SIZE_MAX - SIZE_MIN + 1));
+    const exercise = createExercise(type, difficulty, exSeed);
+    const { w, h } = exercise.ratio;
+    const k = long / Math.max(w, h);
+    items.push({ number, exercise, sizeMm: { width: w * k, height: h * k } });
+  }
+  return { code: worksheetCode({ difficulty, count, shapeType, seed }), difficulty, count, shapeType, seed, items };
+}
+
+/**
+ * Build a worksheet's code: `WS`, the difficulty letter and the shape
+ * count, then the seed in base 36, then the shape code for single-shape
+ * sheets, e.g. `WSM8-1Z4K9Q-E`.
+ */
+export function worksheetCode({ difficulty, count, shapeType = 'random', seed }) {
+  let code = `WS${DIFFICULTY_CODES[difficulty]}${count}-${(seed >>> 0).toString(36).toUpperCase()}`;
+  if (shapeType !== 'random') code += `-${getShapeDef(shapeType).code}`;
+  return code;
+}
+
+/**
+ * Parse a worksheet code back into createWorksheet() options.
+ * @param {string} code
+ * @returns {{ difficulty: string, count: number, shapeType: string, seed: number } | null}
+ *          null when the code is malformed
+ */
+export function parseWorksheetCode(code) {
+  const [head, seedPart, shape, ...rest] = String(code).trim().toUpperCase().split('-');
+  const m = /^WS([EMH])(\d{1,2})$/.exec(head);
+  if (!m || rest.length || !/^[0-9A-Z]{1,7}$/.test(seedPart || '')) return null;
+  const seed  = parseInt(seedPart, 36);
+  const count = Number(m[2]);
+  if (seed > 0xFFFFFFFF || count < 1 || count > MAX_WORKSHEET_SHAPES) return null;
+
+  let shapeType = 'random';
+  if (shape !== undefined) {
+    shapeType = worksheetShapeTypes().find(t => getShapeDef(t).code === shape);
+    if (!shapeType) return null;
+  }
+  const difficulty = Object.keys(DIFFICULTY_CODES).find(d => DIFFICULTY_CODES[d] === m[1]);
+  return { difficulty, count, shapeType, seed };
+}
+
+/**
+ * Recreate the worksheet a code was printed from.
+ * @param {string} code
+ * @returns {object|null} worksheet, or null when the code is malformed
+ */
+export function worksheetFromCode(code) {
+  const parsed = parseWorksheetCode(code);
+  return parsed ? createWorksheet(parsed) : null;
+}
+
+// ── Layout & painting ──────────────────────────────────────────────────
+
+/**
+ * Split a worksheet into pages: as many shape/box pairs as fit on each
+ * sheet page, then the answer key rows.
+ * @param {object} sheet - from createWorksheet()
+ * @param {{ w: number, h: number }} paper - one of PAPER_SIZES
+ * @returns {{ sheets: Array<Array<{ item: WorksheetItem, ref: Box, box: Box }>>,
+ *             keys: WorksheetItem[][] }} boxes in mm
+ * @typedef {{ x: number, y: number, w: number, h: number }} Box
+ */
+export function layoutWorksheet(sheet, paper) {
+  const pairW = 2 * CELL + CELL_GAP;
+  const rowH  = LABEL_H + CELL + ROW_GAP;
+  const cols  = Math.max(1, Math.floor((paper.w - 2 * MARGIN + PAIR_GAP) / (pairW + PAIR_GAP)));
+  const rows  = Math.max(1, Math.floor((paper.h - 2 * MARGIN - HEADER_H + ROW_GAP) / rowH));
+  const left  = (paper.w - cols * pairW - (cols - 1) * PAIR_GAP) / 2;
+
+  const sheets = [];
+  sheet.items.forEach((item, i) => {
+    const slot = i % (cols * rows);
+    if (!slot) sheets.push([]);
+    const x = left + (slot % cols) * (pairW + PAIR_GAP);
+    const y = MARGIN + HEADER_H + Math.floor(slot / cols) * rowH + LABEL_H;
+    sheets[sheets.length - 1].push({
+      item,
+      ref: { x, y, w: CELL, h: CELL },
+      box: { x: x + CELL + CELL_GAP, y, w: CELL, h: CELL },
+    });
+  });
+
+  const keyRows = Math.max(1, Math.floor((paper.h - 2 * MARGIN - HEADER_H) / KEY_ROW_H) - 1);
+  const keys = [];
+  for (let i = 0; i < sheet.items.length; i += keyRows) keys.push(sheet.items.slice(i, i + keyRows));
+  return { sheets, keys };
+}
+
+/**
+ * One painter per printed page, sheet pages first and the answer key last.
+ * @param {object} sheet - from createWorksheet()
+ * @param {{ w: number, h: number }} paper
+ * @returns {Array<(ctx) => void>} for renderSvg() / renderPdf()
+ */
+export function worksheetPages(sheet, paper) {
+  const { sheets, keys } = layoutWorksheet(sheet, paper);
+  const total = sheets.length + keys.length;
+  return [
+    ...sheets.map((slots, i) => ctx => paintSheetPage(ctx, sheet, paper, slots, i + 1, total)),
+    ...keys.map((items, i) => ctx => paintAnswerKey(ctx, sheet, paper, items, sheets.length + i + 1, total)),
+  ];
+}
+
+function paintHeader(ctx, sheet, paper, title, page, total) {
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, paper.w, paper.h);
+
+  ctx.fillStyle = INK;
+  ctx.font = `bold 6px ${FONT}`;
+  ctx.fillText(title, MARGIN, MARGIN + 5);
+
+  const shape = sheet.shapeType === 'random' ? 'mixed' : getShapeDef(sheet.shapeType).name;
+  ctx.fillStyle = MUTED;
+  ctx.font = `3.2px ${FONT}`;
+  ctx.fillText(`Code ${sheet.code}  ·  ${sheet.count} shapes (${shape}), ${sheet.difficulty}  ·  page ${page} of ${total}`,
+    MARGIN, MARGIN + 11);
+
+  ctx.strokeStyle = RULE;
+  ctx.lineWidth = 0.2;
+  ctx.beginPath();
+  ctx.moveTo(MARGIN, MARGIN + 14);
+  ctx.lineTo(paper.w - MARGIN, MARGIN + 14);
+  ctx.stroke();
+}
+
+function paintSheetPage(ctx, sheet, paper, slots, page, total) {
+  paintHeader(ctx, sheet, paper, 'Drawing ratio worksheet', page, total);
+  ctx.fillStyle = INK;
+  ctx.font = `3.5px ${FONT}`;
+  ctx.fillText('Name: ______________________', paper.w - MARGIN - 52, MARGIN + 5);
+  ctx.fillStyle = MUTED;
+  ctx.font = `3px ${FONT}`;
+  ctx.fillText('Copy each shape at the same size in the box beside it. Check your copies in the paper '
+    + 'checker with this code.', MARGIN, MARGIN + 19);
+
+  for (const { item, ref, box } of slots) {
+    ctx.fillStyle = INK;
+    ctx.font = `bold 3.5px ${FONT}`;
+    ctx.fillText(`${item.number}.`, ref.x, ref.y - 1.8);
+    ctx.fillStyle = MUTED;
+    ctx.font = `3px ${FONT}`;
+    ctx.fillText('Your copy', box.x, box.y - 1.8);
+
+    ctx.strokeStyle = RULE;
+    ctx.lineWidth = 0.2;
+    ctx.strokeRect(ref.x, ref.y, ref.w, ref.h);
+    ctx.save();
+    ctx.setLineDash([1.5, 1]);
+    ctx.strokeRect(box.x, box.y, box.w, box.h);
+    ctx.restore();
+
+    // Centred in its cell at the printed size
+    const { width, height } = item.sizeMm;
+    ctx.fillStyle = SHAPE_FILL;
+    ctx.strokeStyle = INK;
+    ctx.lineWidth = 0.3;
+    ctx.lineJoin = 'round';
+    drawPath(ctx, item.exercise, ref.x + (ref.w - width) / 2, ref.y + (ref.h - height) / 2, width, height);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+function paintAnswerKey(ctx, sheet, paper, items, page, total) {
+  paintHeader(ctx, sheet, paper, 'Answer key', page, total);
+  const row = (y, cells, font) => {
+    ctx.font = font;
+    cells.forEach((text, i) => ctx.fillText(text, MARGIN + KEY_COLUMNS[i].x, y));
+  };
+
+  let y = MARGIN + HEADER_H;
+  ctx.fillStyle = INK;
+  row(y, KEY_COLUMNS.map(c => c.title), `bold 3.2px ${FONT}`);
+  for (const { number, exercise, sizeMm } of items) {
+    ctx.strokeStyle = RULE;
+    ctx.lineWidth = 0.15;
+    ctx.beginPath();
+    ctx.moveTo(MARGIN, y + 2.5);
+    ctx.lineTo(paper.w - MARGIN, y + 2.5);
+    ctx.stroke();
+
+    y += KEY_ROW_H;
+    const { w, h } = exercise.ratio;
+    ctx.fillStyle = INK;
+    row(y, [
+      `${number}.`,
+      getShapeDef(exercise.shapeType).name,
+      `${w} : ${h}`,
+      (w / h).toFixed(3),
+      `${sizeMm.width.toFixed(1)} × ${sizeMm.height.toFixed(1)} mm`,
+      exercise.code,
+    ], `3.2px ${FONT}`);
+  }
+}
@@ -0,0 +1,101 @@
+import '../styles/main.css';
+import '../styles/worksheets.css';
+import { getShapeDef } from './shape-registry.js';
+import { randomSeed } from './random.js';
+import { renderSvg, downloadBlob } from './export.js';
+import { renderPdf } from './pdf.js';
+import {
+  createWorksheet, worksheetFromCode, worksheetPages, worksheetShapeTypes, PAPER_SIZES, MAX_WORKSHEET_SHAPES,
+} from './worksheet.js';
+
+const PAPER_KEY = 'dr-worksheet-paper';
+
+const countInput       = document.getElementById('countInput');
+const shapeSelect      = document.getElementById('shapeSelect');
+const difficultySelect = document.getElementById('difficultySelect');
+const paperSelect      = document.getElementById('paperSelect');
+
+let seed  = randomSeed();
+let sheet = null;
+
+for (const type of worksheetShapeTypes()) {
+  const opt = document.createElement('option');
+  opt.value = type;
+  opt.textContent = getShapeDef(type).name;
+  shapeSelect.appendChild(opt);
+}
+countInput.max = MAX_WORKSHEET_SHAPES;
+if (PAPER_SIZES[localStorage.getItem(PAPER_KEY)]) paperSelect.value = localStorage.getItem(PAPER_KEY);
+
+function paper() {
+  return PAPER_SIZES[paperSelect.value];
+}
+
+// Rebuild from the controls; the seed only changes on "New shapes"
+function build() {
+  const count = Math.max(1, Math.min(MAX_WORKSHEET_SHAPES, Math.round(Number(countInput.value)) || 1));
+  countInput.value = count;
+  sheet = createWorksheet({ difficulty: difficultySelect.value, count, shapeType: shapeSelect.value, seed });
+  render();
+}
+
+function render() {
+  document.getElementById('sheetCode').textContent = sheet.code;
+  const { w, h } = paper();
+  const container = document.getElementById('pages');
+  container.innerHTML = '';
+  worksheetPages(sheet, paper()).forEach((draw, i) => {
+    const svg = renderSvg(draw, w, h, 'mm');
+    const page = document.createElement('div');
+    page.className = 'worksheet-sheet';
+    page.innerHTML = svg;
+    const link = document.createElement('a');
+    link.className = 'btn btn--ghost btn--sm';
+    link.href = '#';
+    link.textContent = `Page ${i + 1} as SVG`;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${sheet.code}-page-${i + 1}.svg`);
+    });
+    page.appendChild(link);
+    container.appendChild(page);
+  });
+}
+
+function downloadPdf() {
+  const { w, h } = paper();
+  downloadBlob(renderPdf(worksheetPages(sheet, paper()), w, h), `${sheet.code}.pdf`);
+}
+
+// Reprint a worksheet from its code, with its settings in the controls
+function openCode(e) {
+  e.preventDefault();
+  const input  = document.getElementById('openInput');
+  const opened = worksheetFromCode(input.value);
+  if (!opened) {
+    alert('That isn\'t a worksheet code.');
+    return;
+  }
+  ({ seed } = opened);
+  countInput.value       = opened.count;
+  shapeSelect.value      = opened.shapeType;
+  difficultySelect.value = opened.difficulty;
+  input.value = '';
+  sheet = opened;
+  render();
+}
+
+countInput.addEventListener('change', build);
+shapeSelect.addEventListener('change', build);
+difficultySelect.addEventListener('change', build);
+paperSelect.addEventListener('change', () => {
+  localStorage.setItem(PAPER_KEY, paperSelect.value);
+  render();
+});
+document.getElementById('newSheetBtn').addEventListener('click', () => {
+  seed = randomSeed();
+  build();
+});
+document.getElementById('pdfBtn').addEventListener('click', downloadPdf);
+document.getElementById('openForm').addEventListener('submit', openCode);
+build();
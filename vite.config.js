@@ -11,6 +11,8 @@ export default defineConfig({
       input: {
         main: resolve(__dirname, 'index.html'),
         paper: resolve(__dirname, 'drawing-ratio.html'),
+        progress: resolve(__dirname, 'progress.html'),
+        worksheets: resolve(__dirname, 'worksheets.html'),
       },
     },
   },